@@ -1,95 +1,350 @@
 #!/usr/bin/env node
 const fs = require('fs');
-const crypto = require('crypto');
+const path = require('path');
 const maboii = require('maboii');
+const formats = require('./lib/formats');
+const AmiiboDatabase = require('./lib/amiibodb');
+const mii = require('./lib/mii');
+const appdata = require('./lib/appdata');
+const uidTools = require('./lib/uid');
+const keyTools = require('./lib/keys');
+const ntag215 = require('./lib/ntag215');
+const httpServer = require('./lib/server');
+const amiiboErrors = require('./lib/errors');
+
+const { AmiiboError, KeyError, HmacError, SizeError, AmiiboIdError, UidError, ArgumentError } = amiiboErrors;
+
+// Logger that drops everything; the default, so library use prints nothing
+const SILENT_LOGGER = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+// Figure types stored in byte 3 of the amiibo ID
+const FIGURE_TYPES = {
+    0x00: 'figure',
+    0x01: 'card',
+    0x02: 'yarn',
+    0x03: 'band'
+};
+
+// Accepted dump sizes
+const DUMP_LAYOUTS = {
+    532: '532 bytes (pages 0-132, no PWD/PACK pages)',
+    540: '540 bytes (full NTAG215, 135 pages)',
+    572: '572 bytes (full NTAG215 + 32-byte NXP originality signature)'
+};
+
+// Fixed bytes 9-15 of every amiibo: internal byte, static lock bytes, capability container
+const TAG_HEADER = [0x48, 0x0f, 0xe0, 0xf1, 0x10, 0xff, 0xee];
+
+// Fixed bytes 520-531: dynamic lock bytes, CFG0 (AUTH0 = page 4), CFG1 (ACCESS)
+const TAG_CONFIG = [0x01, 0x00, 0x0f, 0xbf, 0x00, 0x00, 0x00, 0x04, 0x5f, 0x00, 0x00, 0x00];
+
+// Named regions of the packed 540-byte tag data
+const TAG_REGIONS = [
+    { start: 0, end: 3, name: 'UID0-2' },
+    { start: 3, end: 4, name: 'BCC0' },
+    { start: 4, end: 8, name: 'UID3-6' },
+    { start: 8, end: 9, name: 'BCC1' },
+    { start: 9, end: 10, name: 'Internal' },
+    { start: 10, end: 12, name: 'Static lock' },
+    { start: 12, end: 16, name: 'Capability container' },
+    { start: 16, end: 20, name: 'Tag header' },
+    { start: 20, end: 52, name: 'Settings' },
+    { start: 52, end: 84, name: 'Tag HMAC' },
+    { start: 84, end: 92, name: 'Amiibo ID' },
+    { start: 92, end: 128, name: 'Keygen salt' },
+    { start: 128, end: 160, name: 'Data HMAC' },
+    { start: 160, end: 256, name: 'Owner Mii' },
+    { start: 256, end: 304, name: 'Application info' },
+    { start: 304, end: 520, name: 'App data' },
+    { start: 520, end: 524, name: 'Dynamic lock' },
+    { start: 524, end: 528, name: 'CFG0' },
+    { start: 528, end: 532, name: 'CFG1' },
+    { start: 532, end: 536, name: 'PWD' },
+    { start: 536, end: 538, name: 'PACK' },
+    { start: 538, end: 540, name: 'RFUI' }
+];
+
+// Named fields of the 540-byte decrypted data, in offset order, with how to show their value.
+// The two HMACs are left out: they change whenever anything else does.
+const PLAINTEXT_REGIONS = [
+    { start: 0, end: 8, name: 'Tag header', show: 'hex' },
+    { start: 40, end: 41, name: 'Tag magic', show: 'hex' },
+    { start: 41, end: 43, name: 'Write counter', show: 'number' },
+    { start: 43, end: 44, name: 'Version', show: 'number' },
+    { start: 44, end: 45, name: 'Settings flags', show: 'hex' },
+    { start: 45, end: 46, name: 'Country code', show: 'number' },
+    { start: 46, end: 48, name: 'CRC counter', show: 'number' },
+    { start: 48, end: 50, name: 'Init date', show: 'date' },
+    { start: 50, end: 52, name: 'Last write date', show: 'date' },
+    { start: 52, end: 56, name: 'Register info CRC', show: 'hex' },
+    { start: 56, end: 76, name: 'Nickname', show: 'text' },
+    { start: 76, end: 172, name: 'Owner Mii', show: 'count' },
+    { start: 172, end: 180, name: 'Application title ID', show: 'hex' },
+    { start: 180, end: 182, name: 'App write counter', show: 'number' },
+    { start: 182, end: 186, name: 'App ID', show: 'hex' },
+    { start: 186, end: 188, name: 'Reserved', show: 'hex' },
+    { start: 188, end: 220, name: 'Console ID hash', show: 'hex' },
+    { start: 220, end: 436, name: 'App data', show: 'count' },
+    { start: 468, end: 476, name: 'UID', show: 'hex' },
+    { start: 476, end: 484, name: 'Amiibo ID', show: 'hex' },
+    { start: 484, end: 520, name: 'Keygen salt', show: 'count' },
+    { start: 520, end: 540, name: 'Lock and config', show: 'hex' }
+];
+
+// Offset of the app data area in the decrypted data
+const APP_DATA_OFFSET = 220;
+
+// App data edits that work for every title, next to the ones plugins offer
+const GENERIC_APP_DATA_EDITS = {
+    'clear-claim': 'Remove the title\'s claim and app data so another game can use the figure'
+};
+
+// Offset of the 96-byte owner Mii in the decrypted data
+const OWNER_MII_OFFSET = 76;
+
+// Pages a console writes back when it saves to an amiibo: settings and the encrypted data
+const CONSOLE_WRITE_PAGES = [[4, 12], [32, 129]];
 
 class AmiiboTool {
-    constructor() {
+    // options: { logger } - any object with console-style log, warn and error methods.
+    // Without one nothing is printed.
+    constructor(options = {}) {
         this.keys = null;
+        this.database = null;
+        this.logger = options.logger || SILENT_LOGGER;
+        this.uidGenerator = uidTools.createUIDGenerator();
+        this.registry = null;
+        this.issuedUIDs = new Set();
+        this.pendingUIDs = new Map();
     }
 
-    // Load master keys from file
-    loadKeys(keyPath) {
+    // Load master keys from a key source: a 160-byte key file, the two split key files
+    // unfixed-info.bin and locked-secret.bin (an array or "a,b", either order) or a folder holding either
+    loadKeys(keySource) {
         try {
-            const keyBuffer = fs.readFileSync(keyPath);
-            const keyArray = Array.from(keyBuffer);
-            this.keys = maboii.loadMasterKeys(keyArray);
-            if (!this.keys) {
-                throw new Error('Failed to load master keys');
+            this.setKeys(keyTools.readKeySource(keySource).buffer);
+            return true;
+        } catch (error) {
+            this.logger.error('Error loading keys:', error.message);
+            return false;
+        }
+    }
+
+    // Load master keys from a 160-byte buffer (data key followed by tag key)
+    setKeys(keyBuffer) {
+        if (!keyBuffer) {
+            throw new KeyError('Master keys must be 160 bytes, got 0');
+        }
+
+        const problems = keyTools.checkCombined(keyBuffer);
+        if (problems.length > 0) {
+            throw new KeyError(problems.join('; '));
+        }
+
+        const keys = maboii.loadMasterKeys(Array.from(keyBuffer));
+        if (!keys) {
+            throw new KeyError('Failed to load master keys');
+        }
+        this.keys = keys;
+    }
+
+    // Throw unless master keys are loaded
+    requireKeys() {
+        if (!this.keys) {
+            throw new KeyError('Master keys not loaded. Call loadKeys() first.');
+        }
+    }
+
+    // Diagnose a key source without loading it: size and fingerprint of each file and key,
+    // what is wrong with them, and whether they decrypt a known-good sample dump (a buffer, optional)
+    checkKeys(keySource, sample = null) {
+        const report = { files: [], keys: [], problems: [], usable: false, sample: null };
+
+        let buffer;
+        try {
+            report.files = keyTools.resolveKeyFiles(keySource).map(file => {
+                const content = fs.existsSync(file) ? fs.readFileSync(file) : null;
+                return { file: file, size: content ? content.length : null, fingerprint: content ? keyTools.fingerprint(content) : null };
+            });
+            buffer = keyTools.readKeySource(keySource).buffer;
+        } catch (error) {
+            report.problems.push(error.message);
+            return report;
+        }
+
+        if (buffer.length === keyTools.KEY_SIZE || buffer.length === keyTools.KEY_SIZE * 2) {
+            for (let offset = 0; offset < buffer.length; offset += keyTools.KEY_SIZE) {
+                report.keys.push(keyTools.describeKey(buffer.slice(offset, offset + keyTools.KEY_SIZE)));
+            }
+        }
+
+        const checker = new AmiiboTool();
+        try {
+            checker.setKeys(buffer);
+            report.usable = true;
+        } catch (error) {
+            report.problems.push(error.message);
+        }
+
+        if (sample && report.usable) {
+            try {
+                const info = checker.info(sample);
+                report.sample = { decrypts: true, amiiboId: info.amiiboId };
+            } catch (error) {
+                report.sample = { decrypts: false, detail: error.message };
+            }
+        }
+        return report;
+    }
+
+    // Print a key check for humans
+    printKeyCheck(report) {
+        for (const file of report.files) {
+            const size = file.size === null ? 'missing' : `${file.size} bytes, sha256 ${file.fingerprint}`;
+            this.logger.log(`📄 ${file.file}: ${size}`);
+        }
+        for (const key of report.keys) {
+            const type = key.type || `unknown type ${JSON.stringify(key.typeString)}`;
+            this.logger.log(`${key.problems.length === 0 ? '✅' : '❌'} ${type.padEnd(14)} ${key.size} bytes, sha256 ${key.fingerprint}`);
+            for (const problem of key.problems) {
+                this.logger.log(`     ${problem}`);
             }
+        }
+        for (const problem of report.problems) {
+            this.logger.log(`❌ ${problem}`);
+        }
+
+        if (report.sample) {
+            this.logger.log(report.sample.decrypts
+                ? `✅ Sample decrypts (amiibo ID ${report.sample.amiiboId})`
+                : `❌ Sample does not decrypt: ${report.sample.detail}`);
+        } else if (report.usable) {
+            this.logger.log('➖ No sample dump given (--sample), keys not tested against a real dump');
+        }
+        if (!report.usable) {
+            this.logger.log('\n🔑 Keys NOT usable');
+        } else if (report.sample && !report.sample.decrypts) {
+            this.logger.log('\n🔑 Keys load, but do not decrypt the sample');
+        } else {
+            this.logger.log('\n🔑 Keys OK');
+        }
+    }
+
+    // Load amiibo name database (AmiiboAPI amiibo.json layout)
+    loadDatabase(dbPath) {
+        try {
+            this.database = AmiiboDatabase.load(dbPath);
             return true;
         } catch (error) {
-            console.error('Error loading keys:', error.message);
+            this.logger.error('Error loading amiibo database:', error.message);
             return false;
         }
     }
 
+    // Look up names for an amiibo ID, or null without a database or match
+    lookupAmiibo(amiiboId) {
+        return this.database ? this.database.lookup(amiiboId) : null;
+    }
+
+    // Search the loaded database by name, character, amiibo series or game series
+    searchAmiibo(text) {
+        if (!this.database) {
+            throw new Error('Amiibo database not loaded. Call loadDatabase() first.');
+        }
+        return this.database.search(text);
+    }
+
+    // Resolve an exact figure name to its amiibo ID
+    resolveAmiiboName(name) {
+        if (!this.database) {
+            throw new Error('Amiibo database not loaded. Call loadDatabase() first.');
+        }
+
+        const matches = this.database.findByName(name);
+        if (matches.length === 1) {
+            return matches[0].id;
+        }
+
+        if (matches.length === 0) {
+            const similar = this.database.search(name).slice(0, 10);
+            const hint = similar.length > 0 ? `. Similar: ${similar.map(e => `${e.name} (${e.id})`).join(', ')}` : '';
+            throw new ArgumentError(`No amiibo named "${name}"${hint}`);
+        }
+
+        const candidates = matches.map(e => `  ${e.id}  ${e.name} (${e.amiiboSeries || 'unknown series'})`).join('\n');
+        throw new ArgumentError(`"${name}" matches ${matches.length} amiibo, use one of these IDs instead:\n${candidates}`);
+    }
+
     // Parse .nfc file (Flipper Zero format) to binary
     parseNFCFile(filePath) {
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const lines = content.split('\n');
+            const content = fs.readFileSync(filePath);
 
             // Verify it's a Flipper NFC file
-            if (!lines[0].includes('Flipper NFC device')) {
+            const nfcFormat = formats.getFormat('nfc');
+            if (!nfcFormat.detect(content)) {
                 throw new Error('Not a valid Flipper NFC file');
             }
 
-            // Extract page data
-            const pages = [];
-            for (const line of lines) {
-                if (line.startsWith('Page ')) {
-                    // Parse "Page X: XX XX XX XX" format
-                    const match = line.match(/Page \d+: ([0-9A-F]{2}) ([0-9A-F]{2}) ([0-9A-F]{2}) ([0-9A-F]{2})/i);
-                    if (match) {
-                        for (let i = 1; i <= 4; i++) {
-                            pages.push(parseInt(match[i], 16));
-                        }
-                    }
-                }
-            }
-
-            // NTAG215 should have 540 bytes (135 pages * 4 bytes)
-            if (pages.length !== 540) {
-                throw new Error(`Invalid NFC data size: ${pages.length} bytes (expected 540)`);
-            }
-
-            return new Uint8Array(pages);
+            return new Uint8Array(nfcFormat.parse(content));
         } catch (error) {
             throw new Error(`Failed to parse NFC file: ${error.message}`);
         }
     }
 
-    // Read template file (supports both .bin and .nfc formats)
+    // Read dump file in any registered format, detected from its content
+    readDumpFile(filePath) {
+        return formats.parseDump(fs.readFileSync(filePath));
+    }
+
+    // Read template file (any registered format: .bin, .nfc, .eml, .json, hex text)
     readTemplateFile(filePath) {
-        const ext = filePath.toLowerCase().split('.').pop();
+        return this.readDumpFile(filePath).data;
+    }
 
-        if (ext === 'nfc') {
-            return this.parseNFCFile(filePath);
-        } else {
-            // Assume binary format
-            return fs.readFileSync(filePath);
+    // Write output file in the given format, or the one matching its extension,
+    // optionally padded or trimmed to 532, 540 or 572 bytes
+    writeOutputFile(filePath, data, format = null, size = null) {
+        const outputFormat = format ? format.toLowerCase() : formats.formatForPath(filePath).name;
+        const outputData = size ? this.resizeDump(data, size) : data;
+        const signature = this.getSignature(outputData);
+        if (signature && signature.some(b => b !== 0) && formats.getFormat(outputFormat) && !formats.getFormat(outputFormat).keepsSignature) {
+            this.logger.warn(`⚠️  Warning: ${outputFormat} files hold tag memory only, the signature is not written to ${filePath}`);
         }
+        fs.writeFileSync(filePath, formats.serializeDump(outputData, outputFormat));
+        return outputFormat;
     }
 
-    // Generate random UID (7 bytes)
-    generateRandomUID() {
-        const uid = new Array(7);
-        uid[0] = 0x04; // Standard NFC Type A UID prefix
+    // Convert a dump between formats (and optionally sizes) without touching its contents
+    convertFile(inputPath, outputPath, format = null, size = null) {
+        const input = this.readDumpFile(inputPath);
+        this.logger.log(`Input: ${inputPath} (${input.format}, ${input.data.length} bytes)`);
 
-        // Generate 6 random bytes
-        const randomBytes = crypto.randomBytes(6);
-        for (let i = 1; i < 7; i++) {
-            uid[i] = randomBytes[i-1];
-        }
+        const outputFormat = this.writeOutputFile(outputPath, input.data, format, size);
+        const outputSize = Math.min(size ? parseInt(size, 10) : input.data.length, formats.getFormat(outputFormat).keepsSignature ? Infinity : 540);
+        this.logger.log(`Output: ${outputPath} (${outputFormat}, ${outputSize} bytes)`);
 
-        return uid;
+        return {
+            inputFormat: input.format,
+            outputFormat: outputFormat,
+            inputSize: input.data.length,
+            outputSize: outputSize
+        };
+    }
+
+    // Generate random UID (7 bytes, NXP manufacturer byte, no cascade tag)
+    generateRandomUID() {
+        return uidTools.randomUID();
     }
 
     // Parse custom UID from hex string
     parseCustomUID(uidHex) {
-        if (uidHex.length !== 14) {
-            throw new Error('UID must be exactly 14 hex characters (7 bytes)');
+        if (!/^[0-9a-f]{14}$/i.test(uidHex)) {
+            throw new UidError(`UID must be exactly 14 hex characters (7 bytes), got "${uidHex}"`);
         }
 
         const uid = [];
@@ -97,9 +352,169 @@ class AmiiboTool {
             uid.push(parseInt(uidHex.substr(i, 2), 16));
         }
 
+        if (uid[0] === 0x88 || uid[3] === 0x88) {
+            throw new UidError(`UID ${uidHex} puts the cascade tag 0x88 in UID${uid[0] === 0x88 ? '0' : '3'}`);
+        }
+        if (uid[0] !== 0x04) {
+            this.logger.warn(`⚠️  Warning: UID ${uidHex} doesn't start with the NXP manufacturer byte 04`);
+        }
+
+        return uid;
+    }
+
+    // Choose how UIDs are generated when none is given.
+    // options: { mode: 'random' | 'seeded' | 'sequential', seed, base (14 hex chars) }
+    // Without a mode, a seed means seeded and a base means sequential.
+    setUIDMode(options = {}) {
+        const hasSeed = options.seed !== undefined && options.seed !== null;
+        const hasBase = options.base !== undefined && options.base !== null;
+        let mode = options.mode;
+        if (!mode) {
+            if (hasSeed && hasBase) {
+                throw new UidError('Give either a seed (seeded UIDs) or a base UID (sequential UIDs), not both');
+            }
+            mode = hasSeed ? 'seeded' : hasBase ? 'sequential' : 'random';
+        } else if ((hasSeed && mode !== 'seeded') || (hasBase && mode !== 'sequential')) {
+            throw new UidError(`${hasSeed ? 'A seed' : 'A base UID'} can't be used with UID mode ${mode}`);
+        }
+
+        this.uidGenerator = uidTools.createUIDGenerator({
+            mode: mode,
+            seed: options.seed,
+            base: options.base ? this.parseCustomUID(options.base) : null
+        });
+    }
+
+    // Load (or start) a registry file of issued UIDs; returns false when it can't be read
+    loadRegistry(registryPath) {
+        try {
+            this.registry = uidTools.UIDRegistry.load(registryPath);
+            return true;
+        } catch (error) {
+            this.logger.error('Error loading UID registry:', error.message);
+            return false;
+        }
+    }
+
+    // Get the UID for a new dump: the custom one when given, otherwise the next one from
+    // the UID generator. UIDs already issued (in this session or in the registry) are
+    // never handed out again. A new UID is only pending until commitUID() records it in
+    // the registry, once the dump has been written, so a failed command leaves no trace there.
+    issueUID(customUID, amiiboId) {
+        let uid;
+        let source;
+
+        if (customUID) {
+            uid = this.parseCustomUID(customUID);
+            source = 'custom';
+            const record = (this.registry ? this.registry.lookup(customUID) : null) || this.pendingUIDs.get(customUID.toLowerCase());
+            if (record) {
+                throw new UidError(`UID ${customUID.toLowerCase()} was already issued on ${record.issued} (${record.source}${record.amiiboId ? ', amiibo ' + record.amiiboId : ''})`);
+            }
+        } else {
+            const isTaken = (uidHex, from) => this.issuedUIDs.has(uidHex) || Boolean(this.registry && this.registry.isTaken(uidHex, from, amiiboId));
+            const issued = this.uidGenerator.next(isTaken);
+            uid = issued.uid;
+            source = issued.source;
+        }
+
+        const uidHex = uid.map(b => b.toString(16).padStart(2, '0')).join('');
+        this.issuedUIDs.add(uidHex);
+        if (this.registry && !this.registry.lookup(uidHex)) {
+            this.pendingUIDs.set(uidHex, { issued: new Date().toISOString(), source: source, amiiboId: amiiboId });
+        }
         return uid;
     }
 
+    // Record the UID of a dump in the registry once the dump has been written or sent.
+    // uid is the 8 UID bytes (with BCC0) that create() and repack() return.
+    commitUID(uid) {
+        const uidHex = [0, 1, 2, 4, 5, 6, 7].map(i => uid[i].toString(16).padStart(2, '0')).join('');
+        const record = this.pendingUIDs.get(uidHex);
+        if (record && this.registry) {
+            this.registry.add(uidHex, record);
+        }
+        this.pendingUIDs.delete(uidHex);
+    }
+
+    // Throw before anything is built when the requested output format or size is unknown
+    checkOutputOptions(format = null, size = null) {
+        if (format && !formats.getFormat(format.toLowerCase())) {
+            throw new ArgumentError(`Unknown output format: ${format} (expected one of ${formats.listFormats().map(f => f.name).join(', ')})`);
+        }
+        if (size && !DUMP_LAYOUTS[parseInt(size, 10)]) {
+            throw new SizeError(`Invalid output size: ${size} (expected 532, 540 or 572)`);
+        }
+    }
+
+    // Parse an 8-byte amiibo ID (hex string or bytes) into its fields
+    parseAmiiboId(amiiboId) {
+        let bytes;
+        if (typeof amiiboId === 'string') {
+            if (!/^[0-9a-f]{16}$/i.test(amiiboId)) {
+                throw new AmiiboIdError('Amiibo ID must be 16 hex characters (8 bytes)');
+            }
+            bytes = [];
+            for (let i = 0; i < amiiboId.length; i += 2) {
+                bytes.push(parseInt(amiiboId.substr(i, 2), 16));
+            }
+        } else {
+            bytes = Array.from(amiiboId);
+            if (bytes.length !== 8) {
+                throw new AmiiboIdError('Amiibo ID must be 8 bytes');
+            }
+        }
+
+        const hex = arr => arr.map(b => b.toString(16).padStart(2, '0')).join('');
+        const figureType = bytes[3];
+
+        return {
+            id: hex(bytes),
+            bytes: bytes,
+            gameSeriesId: hex(bytes.slice(0, 2)).substr(0, 3),
+            characterId: hex(bytes.slice(0, 2)),
+            characterVariant: bytes[2],
+            figureType: figureType,
+            figureTypeName: FIGURE_TYPES[figureType] || 'unknown',
+            modelNumber: (bytes[4] << 8) | bytes[5],
+            series: bytes[6],
+            formatVersion: bytes[7]
+        };
+    }
+
+    // One-line summary of parsed amiibo ID fields
+    describeAmiiboId(fields) {
+        return `game ${fields.gameSeriesId}, character ${fields.characterId}, ` +
+            `variant ${fields.characterVariant.toString(16).padStart(2, '0')}, ` +
+            `type ${fields.figureTypeName}, ` +
+            `model ${fields.modelNumber.toString(16).padStart(4, '0')}, ` +
+            `series ${fields.series.toString(16).padStart(2, '0')}`;
+    }
+
+    // Sanity-check amiibo ID fields: errors are impossible values, warnings look like typos
+    checkAmiiboId(fields) {
+        const errors = [];
+        const warnings = [];
+
+        if (!FIGURE_TYPES[fields.figureType]) {
+            errors.push(`figure type 0x${fields.figureType.toString(16).padStart(2, '0')} is not figure, card, yarn or band`);
+        }
+        if (fields.formatVersion !== 0x02) {
+            errors.push(`last byte is 0x${fields.formatVersion.toString(16).padStart(2, '0')} (always 0x02 in real IDs)`);
+        }
+        if (fields.characterId === 'ffff') {
+            warnings.push('character ID ffff is a placeholder value');
+        }
+        if (fields.modelNumber === 0xFFFF) {
+            warnings.push('model number ffff is a placeholder value');
+        }
+        if (fields.series === 0xFF) {
+            warnings.push('series ff is a placeholder value');
+        }
+
+        return { valid: errors.length === 0, errors: errors, warnings: warnings };
+    }
+
     // Calculate BCC0 for the UID
     calculateBCC0(uid) {
         return uid[0] ^ uid[1] ^ uid[2] ^ 0x88;
@@ -128,307 +543,1863 @@ class AmiiboTool {
         return pwd;
     }
 
-    // Validate a single bin file
-    validateBin(filePath) {
-        try {
-            console.log(`\n🔍 Validating: ${filePath}`);
+    // Describe the layout of a 532-, 540- or 572-byte dump
+    getDumpLayout(data) {
+        if (!DUMP_LAYOUTS[data.length]) {
+            throw new SizeError(`Invalid dump size: ${data.length} bytes (expected 532, 540 or 572)`);
+        }
 
-            // Check if file exists
-            if (!fs.existsSync(filePath)) {
-                console.log('❌ File does not exist');
-                return false;
-            }
+        return {
+            size: data.length,
+            description: DUMP_LAYOUTS[data.length],
+            hasPwdPack: data.length >= 540,
+            hasSignature: data.length === 572
+        };
+    }
 
-            // Read file (supports both .bin and .nfc formats)
-            const fileData = this.readTemplateFile(filePath);
-            if (fileData.length !== 540) {
-                console.log(`❌ Invalid file size: ${fileData.length} bytes (expected 540)`);
-                return false;
-            }
+    // Get the 540-byte tag data of a dump (532-byte dumps get empty PWD/PACK pages)
+    getTagData(data) {
+        const tagData = Array.from(data).slice(0, 540);
+        while (tagData.length < 540) {
+            tagData.push(0);
+        }
+        return tagData;
+    }
+
+    // Get the NXP originality signature of a 572-byte dump, or null
+    getSignature(data) {
+        return data.length === 572 ? Array.from(data).slice(540) : null;
+    }
 
-            const dataArray = Array.from(fileData);
+    // Pad or trim a dump to 532, 540 or 572 bytes
+    resizeDump(data, size) {
+        const targetSize = parseInt(size, 10);
+        if (!DUMP_LAYOUTS[targetSize]) {
+            throw new SizeError(`Invalid output size: ${size} (expected 532, 540 or 572)`);
+        }
+        this.getDumpLayout(data);
 
-            // Try to unpack the file
-            const unpackResult = maboii.unpack(this.keys, dataArray);
+        const tagData = Array.from(data).slice(0, 540);
+        if (tagData.length < 540) {
+            // Rebuild the missing PWD/PACK pages from the UID
+            tagData.push(...this.calculatePWD(tagData), 0x80, 0x80, 0x00, 0x00);
+        }
 
-            if (!unpackResult.result) {
-                console.log('❌ Failed to unpack - Invalid HMAC or corrupted data');
-                return false;
-            }
+        if (targetSize === 532) {
+            return tagData.slice(0, 532);
+        } else if (targetSize === 540) {
+            return tagData;
+        } else {
+            return tagData.concat(this.getSignature(data) || new Array(32).fill(0));
+        }
+    }
+
+    // NTAG215 structure checks on 540-byte tag data. Each check has a severity:
+    // failed 'error' checks make a dump unusable, failed 'warning' checks are only reported.
+    // passed is null when the dump layout doesn't contain the checked bytes.
+    checkStructure(dataArray, layout) {
+        const hex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+        const checks = [];
+
+        const add = (name, label, severity, passed, detail) => {
+            checks.push({ name: name, label: label, severity: severity, passed: passed, detail: detail });
+        };
+        const expectBytes = (name, label, severity, offset, expected) => {
+            const actual = dataArray.slice(offset, offset + expected.length);
+            const passed = actual.every((b, i) => b === expected[i]);
+            add(name, label, severity, passed, passed ? hex(actual) : `${hex(actual)}, expected ${hex(expected)}`);
+        };
+
+        const uid = dataArray.slice(0, 8);
+        const bcc0 = this.calculateBCC0(uid);
+        const bcc1 = uid[4] ^ uid[5] ^ uid[6] ^ uid[7];
+
+        add('bcc0', 'BCC0', 'error', uid[3] === bcc0,
+            uid[3] === bcc0 ? hex([uid[3]]) : `${hex([uid[3]])}, expected ${hex([bcc0])}`);
 
-            console.log('✅ Valid HMAC - File unpacked successfully');
+        // 0x88 is the cascade tag: it can't start either cascade level of a 7-byte UID
+        const cascadeValid = uid[0] !== 0x88 && uid[4] !== 0x88;
+        add('cascadeTag', 'Cascade tag rule', 'error', cascadeValid,
+            cascadeValid ? 'UID0 and UID3 are not 0x88' : `UID${uid[0] === 0x88 ? '0' : '3'} is the cascade tag 0x88`);
 
-            // Extract key information
-            const uid = dataArray.slice(0, 8);
-            const uidHex = uid.map(b => b.toString(16).padStart(2, '0')).join(' ');
+        add('manufacturer', 'Manufacturer', 'warning', uid[0] === 0x04,
+            uid[0] === 0x04 ? 'NXP 04' : `${hex([uid[0]])}, expected NXP 04`);
 
-            // Check position 8 calculation
-            const pos8Expected = uid[4] ^ uid[5] ^ uid[6] ^ uid[7];
-            const pos8Actual = uid[8] || dataArray[8];
-            const pos8Valid = pos8Expected === pos8Actual;
-            console.log(`🎯 Position 8: ${pos8Valid ? '✅' : '❌'} (${pos8Actual.toString(16).padStart(2, '0')})`);
+        add('bcc1', 'Position 8', 'error', dataArray[8] === bcc1,
+            dataArray[8] === bcc1 ? hex([dataArray[8]]) : `${hex([dataArray[8]])}, expected ${hex([bcc1])}`);
 
-            // Extract Amiibo ID
-            const amiiboId = dataArray.slice(84, 92);
-            const amiiboIdHex = amiiboId.map(b => b.toString(16).padStart(2, '0')).join('');
+        expectBytes('internal', 'Internal byte', 'warning', 9, TAG_HEADER.slice(0, 1));
+        expectBytes('staticLock', 'Static lock bytes', 'error', 10, TAG_HEADER.slice(1, 3));
+        expectBytes('capabilityContainer', 'Capability container', 'error', 12, TAG_HEADER.slice(3, 7));
+        expectBytes('dynamicLock', 'Dynamic lock bytes', 'error', 520, TAG_CONFIG.slice(0, 3));
 
-            // Extract PWD and PACK
+        const auth0 = dataArray[527];
+        add('cfg0', 'CFG0 (AUTH0)', 'error', auth0 === TAG_CONFIG[7],
+            `AUTH0 ${hex([auth0])}${auth0 === TAG_CONFIG[7] ? '' : `, expected ${hex([TAG_CONFIG[7]])}`}`);
+
+        const access = dataArray[528];
+        add('cfg1', 'CFG1 (ACCESS)', 'error', access === TAG_CONFIG[8],
+            `ACCESS ${hex([access])}${access === TAG_CONFIG[8] ? '' : `, expected ${hex([TAG_CONFIG[8]])}`}`);
+
+        // A 532-byte dump has no PWD/PACK pages to check
+        if (layout.hasPwdPack) {
             const pwd = dataArray.slice(532, 536);
-            const pack = dataArray.slice(536, 538);
-
-            // Validate PWD calculation
-            const uid7 = [uid[0], uid[1], uid[2], uid[4], uid[5], uid[6], uid[7]];
-            const expectedPwd = [
-                (0xAA ^ uid7[1] ^ uid7[3]) & 0xFF,
-                (0x55 ^ uid7[2] ^ uid7[4]) & 0xFF,
-                (0xAA ^ uid7[3] ^ uid7[5]) & 0xFF,
-                (0x55 ^ uid7[4] ^ uid7[6]) & 0xFF
-            ];
-            const pwdValid = pwd.every((byte, i) => byte === expectedPwd[i]);
-            console.log(`🔐 PWD: ${pwdValid ? '✅' : '❌'} (${pwd.map(b => b.toString(16).padStart(2, '0')).join(' ')})`);
-
-            // Validate PACK
-            const packValid = pack[0] === 0x80 && pack[1] === 0x80;
-            console.log(`📦 PACK: ${packValid ? '✅' : '❌'} (${pack.map(b => b.toString(16).padStart(2, '0')).join(' ')})`);
-
-            const isValid = unpackResult.result && pos8Valid && pwdValid && packValid;
-            console.log(`🏆 Overall: ${isValid ? '✅ VALID' : '❌ INVALID'}`);
+            const expectedPwd = this.calculatePWD(uid);
+            const pwdValid = pwd.every((b, i) => b === expectedPwd[i]);
+            add('pwd', 'PWD', 'error', pwdValid, pwdValid ? hex(pwd) : `${hex(pwd)}, expected ${hex(expectedPwd)}`);
 
-            return {
-                valid: isValid,
-                uid: uidHex,
-                amiiboId: amiiboIdHex,
-                hmacValid: unpackResult.result,
-                pos8Valid: pos8Valid,
-                pwdValid: pwdValid,
-                packValid: packValid
-            };
+            expectBytes('pack', 'PACK', 'error', 536, [0x80, 0x80]);
+        } else {
+            add('pwd', 'PWD', 'error', null, 'not present in 532-byte dump');
+            add('pack', 'PACK', 'error', null, 'not present in 532-byte dump');
+        }
+
+        return checks;
+    }
 
+    // Validate raw dump bytes (532, 540 or 572 bytes) without printing anything.
+    // Throws SizeError for other sizes; an HMAC mismatch is a failed check, not an error.
+    validate(buffer) {
+        this.requireKeys();
+
+        const layout = this.getDumpLayout(buffer);
+        const dataArray = this.getTagData(buffer);
+
+        // Try to unpack the file
+        const unpackResult = maboii.unpack(this.keys, dataArray);
+
+        // Extract key information
+        const uid = dataArray.slice(0, 8);
+        const amiiboId = dataArray.slice(84, 92);
+        const amiiboIdHex = amiiboId.map(b => b.toString(16).padStart(2, '0')).join('');
+        const idFields = this.parseAmiiboId(amiiboId);
+        const idCheck = this.checkAmiiboId(idFields);
+        const names = this.lookupAmiibo(amiiboIdHex);
+        delete idFields.bytes;
+
+        const checks = [
+            { name: 'hmac', label: 'HMAC', severity: 'error', passed: unpackResult.result, detail: unpackResult.result ? 'valid' : 'invalid' },
+            { name: 'amiiboId', label: 'Amiibo ID', severity: 'warning', passed: idCheck.valid, detail: idCheck.errors.join('; ') || amiiboIdHex }
+        ].concat(this.checkStructure(dataArray, layout));
+
+        // Only failed error checks make a dump invalid; warnings are reported alongside
+        const errors = checks.filter(c => c.passed === false && c.severity === 'error');
+        const warnings = checks.filter(c => c.passed === false && c.severity === 'warning');
+        const passed = name => checks.find(c => c.name === name).passed;
+        const signature = this.getSignature(buffer);
+
+        return {
+            valid: errors.length === 0,
+            error: null,
+            uid: uid.map(b => b.toString(16).padStart(2, '0')).join(' '),
+            amiiboId: amiiboIdHex,
+            amiiboIdFields: idFields,
+            amiiboIdProblems: idCheck.errors.concat(idCheck.warnings),
+            name: names ? names.name : null,
+            amiiboSeries: names ? names.amiiboSeries : null,
+            layout: layout.size,
+            layoutDescription: layout.description,
+            signature: signature ? signature.map(b => b.toString(16).padStart(2, '0')).join('') : null,
+            hmacValid: unpackResult.result,
+            amiiboIdValid: idCheck.valid,
+            pos8Valid: passed('bcc1'),
+            pwdValid: passed('pwd'),
+            packValid: passed('pack'),
+            checks: checks,
+            errorCount: errors.length,
+            warningCount: warnings.length
+        };
+    }
+
+    // Validate a dump file in any registered format. Always returns a result object;
+    // files that can't be read or have the wrong size get valid: false and an error message,
+    // and unreadable: true tells a missing or unreadable file apart from a bad dump.
+    checkFile(filePath) {
+        this.requireKeys();
+
+        const result = { file: filePath, valid: false, unreadable: false, error: null, checks: [], errorCount: 0, warningCount: 0 };
+        if (!fs.existsSync(filePath)) {
+            result.error = 'File does not exist';
+            result.unreadable = true;
+            return result;
+        }
+
+        try {
+            return Object.assign({ file: filePath, unreadable: false }, this.validate(this.readTemplateFile(filePath)));
         } catch (error) {
-            console.log(`❌ Error validating file: ${error.message}`);
-            return false;
+            result.error = error instanceof SizeError ? error.message : `Error validating file: ${error.message}`;
+            result.unreadable = error.syscall !== undefined;
+            return result;
         }
     }
 
-    // Validate multiple files
-    validateFiles(filePaths) {
-        if (!this.keys) {
-            throw new Error('Master keys not loaded. Call loadKeys() first.');
+    // Print the result of checkFile() with visual indicators
+    printValidation(result) {
+        this.logger.log(`\n🔍 Validating: ${result.file}`);
+
+        if (result.error) {
+            this.logger.log(`❌ ${result.error}`);
+            return;
+        }
+
+        this.logger.log(`📐 Layout: ${result.layoutDescription}`);
+
+        if (result.hmacValid) {
+            this.logger.log('✅ Valid HMAC - File unpacked successfully');
+        } else {
+            this.logger.log('❌ Failed to unpack - Invalid HMAC or corrupted data');
+        }
+
+        this.logger.log(`🆔 Amiibo ID: ${result.amiiboIdValid ? '✅' : '⚠️ '} ${result.amiiboId} (${this.describeAmiiboId(result.amiiboIdFields)})`);
+        for (const problem of result.amiiboIdProblems) {
+            this.logger.log(`   ⚠️  ${problem}`);
+        }
+        if (result.name) {
+            this.logger.log(`📛 Name: ${result.name} (${result.amiiboSeries || 'unknown series'})`);
+        }
+
+        const icons = { bcc1: '🎯', pwd: '🔐', pack: '📦' };
+        for (const check of result.checks.filter(c => c.name !== 'hmac' && c.name !== 'amiiboId')) {
+            this.logger.log(`${icons[check.name] || '🧱'} ${check.label}: ${this.checkStatusIcon(check)} (${check.detail})`);
+        }
+
+        if (result.signature) {
+            this.logger.log(`✍️  Signature: ${result.signature}`);
+        }
+
+        const warningNote = result.warningCount > 0 ? ` (${result.warningCount} warning${result.warningCount === 1 ? '' : 's'})` : '';
+        this.logger.log(`🏆 Overall: ${result.valid ? '✅ VALID' : '❌ INVALID'}${warningNote}`);
+    }
+
+    // ✅ passed, ❌ failed error, ⚠️ failed warning, ➖ skipped
+    checkStatusIcon(check) {
+        if (check.passed === null) {
+            return '➖';
         }
+        if (check.passed) {
+            return '✅';
+        }
+        return check.severity === 'error' ? '❌' : '⚠️ ';
+    }
+
+    // Validate a single bin file
+    validateBin(filePath) {
+        const result = this.checkFile(filePath);
+        this.printValidation(result);
+        return result;
+    }
 
-        console.log(`🚀 Validating ${filePaths.length} file(s)...\n`);
+    // Validate multiple files.
+    // options: { quiet } to print only the files that failed and their failed checks
+    validateFiles(filePaths, options = {}) {
+        this.requireKeys();
+
+        if (!options.quiet) {
+            this.logger.log(`🚀 Validating ${filePaths.length} file(s)...\n`);
+        }
 
         const results = [];
         for (const filePath of filePaths) {
-            const result = this.validateBin(filePath);
+            const checked = this.checkFile(filePath);
+
+            if (!options.quiet) {
+                this.printValidation(checked);
+            } else if (!checked.valid) {
+                const failures = checked.error ? [checked.error]
+                    : checked.checks.filter(c => c.passed === false && c.severity === 'error').map(c => `${c.label} (${c.detail})`);
+                this.logger.log(`❌ ${filePath}: ${failures.join(', ')}`);
+            }
+
             results.push({
                 file: filePath,
-                result: result
+                result: checked
             });
         }
 
         // Summary
-        const validFiles = results.filter(r => r.result && r.result.valid).length;
+        const validFiles = results.filter(r => r.result.valid).length;
         const invalidFiles = results.length - validFiles;
 
-        console.log(`\n📊 VALIDATION SUMMARY`);
-        console.log(`✅ Valid files: ${validFiles}`);
-        console.log(`❌ Invalid files: ${invalidFiles}`);
-        console.log(`📁 Total files: ${results.length}`);
+        if (!options.quiet) {
+            this.logger.log(`\n📊 VALIDATION SUMMARY`);
+            this.logger.log(`✅ Valid files: ${validFiles}`);
+            this.logger.log(`❌ Invalid files: ${invalidFiles}`);
+            this.logger.log(`📁 Total files: ${results.length}`);
+        }
 
         return results;
     }
 
-    // Change UID in existing amiibo file
-    changeUID(templatePath, outputPath, customUID = null) {
-        if (!this.keys) {
-            throw new Error('Master keys not loaded. Call loadKeys() first.');
-        }
-
-        console.log('Loading template:', templatePath);
+    // Validation report as JSON, with every check of every file
+    formatValidationJSON(results) {
+        const valid = results.filter(r => r.valid).length;
+        return JSON.stringify({
+            summary: { total: results.length, valid: valid, invalid: results.length - valid },
+            files: results
+        }, null, 2);
+    }
 
-        // Read template (supports both .bin and .nfc formats)
-        const templateData = Array.from(this.readTemplateFile(templatePath));
-        const unpackResult = maboii.unpack(this.keys, templateData);
+    // Validation report as JUnit XML: one test suite per file, one test case per check
+    formatValidationJUnit(results) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+        const failures = results.reduce((sum, r) => sum + (r.error ? 1 : r.errorCount), 0);
+        const tests = results.reduce((sum, r) => sum + (r.error ? 1 : r.checks.length), 0);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="amiibo validation" tests="${tests}" failures="${failures}">`
+        ];
 
-        if (!unpackResult.result) {
-            throw new Error('Failed to unpack template file - invalid HMAC');
-        }
+        for (const result of results) {
+            const suiteTests = result.error ? 1 : result.checks.length;
+            const suiteFailures = result.error ? 1 : result.errorCount;
+            lines.push(`  <testsuite name="${escape(result.file)}" tests="${suiteTests}" failures="${suiteFailures}">`);
 
-        const unpackedData = unpackResult.unpacked;
-        console.log('Template unpacked successfully');
+            if (result.error) {
+                lines.push(`    <testcase classname="${escape(result.file)}" name="read">`);
+                lines.push(`      <failure message="${escape(result.error)}"/>`);
+                lines.push('    </testcase>');
+            }
 
-        // Get original amiibo ID from unpacked data (positions 84-91 in packed become different in unpacked)
-        // We'll read it from the original packed data
-        const originalAmiiboID = templateData.slice(84, 92);
-        console.log('Original Amiibo ID:', originalAmiiboID.map(b => b.toString(16).padStart(2, '0')).join(''));
+            for (const check of result.checks) {
+                const testcase = `    <testcase classname="${escape(result.file)}" name="${escape(check.name)}"`;
+                let body = null;
+                if (check.passed === null) {
+                    body = `<skipped message="${escape(check.detail)}"/>`;
+                } else if (!check.passed && check.severity === 'error') {
+                    body = `<failure message="${escape(check.label + ': ' + check.detail)}"/>`;
+                } else if (!check.passed) {
+                    body = `<system-out>${escape('warning: ' + check.label + ': ' + check.detail)}</system-out>`;
+                }
 
-        // Generate or use custom UID
-        const newUID = customUID ? this.parseCustomUID(customUID) : this.generateRandomUID();
-        const bcc0 = this.calculateBCC0(newUID);
+                if (body) {
+                    lines.push(testcase + '>', '      ' + body, '    </testcase>');
+                } else {
+                    lines.push(testcase + '/>');
+                }
+            }
 
-        console.log('New UID:', newUID.map(b => b.toString(16).padStart(2, '0')).join(' '));
-        console.log('BCC0:', bcc0.toString(16).padStart(2, '0'));
+            lines.push('  </testsuite>');
+        }
 
-        // Set new UID in unpacked data
-        unpackedData[468] = newUID[0];
-        unpackedData[469] = newUID[1];
-        unpackedData[470] = newUID[2];
-        unpackedData[471] = bcc0;
-        unpackedData[472] = newUID[3];
-        unpackedData[473] = newUID[4];
-        unpackedData[474] = newUID[5];
-        unpackedData[475] = newUID[6];
+        lines.push('</testsuites>');
+        return lines.join('\n');
+    }
 
-        // Pack the data
-        console.log('Packing data...');
-        let packedData = maboii.pack(this.keys, unpackedData);
+    // Decode an amiibo date (7-bit year since 2000, 4-bit month, 5-bit day), or null when unset
+    decodeDate(high, low) {
+        const raw = (high << 8) | low;
+        if (raw === 0) {
+            return null;
+        }
 
-        // Fix position 8 (XOR of bytes 4-7)
-        packedData[8] = packedData[4] ^ packedData[5] ^ packedData[6] ^ packedData[7];
+        const year = 2000 + (raw >> 9);
+        const month = (raw >> 5) & 0x0F;
+        const day = raw & 0x1F;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
 
-        // Restore original amiibo ID in packed data
-        for (let i = 0; i < 8; i++) {
-            packedData[84 + i] = originalAmiiboID[i];
+    // Decode a NUL-terminated UTF-16 string
+    decodeUTF16(bytes, bigEndian) {
+        const buffer = Buffer.from(bytes);
+        if (bigEndian) {
+            buffer.swap16();
         }
+        const text = buffer.toString('utf16le');
+        const end = text.indexOf('\0');
+        return end === -1 ? text : text.slice(0, end);
+    }
 
-        // Calculate and set PWD
-        const pwd = this.calculatePWD(packedData);
-        packedData[532] = pwd[0];
-        packedData[533] = pwd[1];
-        packedData[534] = pwd[2];
-        packedData[535] = pwd[3];
+    // Decode unpacked (decrypted) amiibo data into named fields
+    decodePlaintext(unpacked) {
+        const hex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        const flags = unpacked[44];
+        const ownerMii = mii.decodeMii(unpacked.slice(OWNER_MII_OFFSET, OWNER_MII_OFFSET + mii.MII_SIZE));
 
-        // Set PACK
-        packedData[536] = 0x80;
-        packedData[537] = 0x80;
+        return {
+            uid: hex(unpacked.slice(468, 476)),
+            amiiboId: hex(unpacked.slice(476, 484)),
+            writeCounter: (unpacked[41] << 8) | unpacked[42],
+            version: unpacked[43],
+            settings: {
+                flags: flags,
+                registered: (flags & 0x10) !== 0,
+                appDataInitialized: (flags & 0x20) !== 0,
+                fontRegion: flags & 0x0F,
+                countryCode: unpacked[45]
+            },
+            crcCounter: (unpacked[46] << 8) | unpacked[47],
+            initDate: this.decodeDate(unpacked[48], unpacked[49]),
+            lastWriteDate: this.decodeDate(unpacked[50], unpacked[51]),
+            registerInfoCrc: hex(unpacked.slice(52, 56)),
+            nickname: this.decodeUTF16(unpacked.slice(56, 76), true),
+            ownerMii: ownerMii.empty ? null : { name: ownerMii.name, author: ownerMii.author },
+            consoleIdHash: hex(unpacked.slice(188, 220)),
+            applicationTitleId: hex(unpacked.slice(172, 180)),
+            applicationWriteCounter: (unpacked[180] << 8) | unpacked[181],
+            appId: hex(unpacked.slice(182, 186))
+        };
+    }
 
-        // Write to file
-        fs.writeFileSync(outputPath, Buffer.from(packedData));
+    // Decrypt and decode a dump, in memory. Throws HmacError if it doesn't verify
+    info(buffer) {
+        this.requireKeys();
 
-        console.log('UID change completed!');
-        console.log('Final UID:', Array.from(packedData.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' '));
-        console.log('Position 8:', packedData[8].toString(16).padStart(2, '0'));
-        console.log('PWD:', pwd.map(b => b.toString(16).padStart(2, '0')).join(' '));
-        console.log('Output file:', outputPath);
+        const layout = this.getDumpLayout(buffer);
+        const unpackResult = maboii.unpack(this.keys, this.getTagData(buffer));
 
-        // Automatically validate the generated file
-        console.log('\n📋 Validating generated file...');
-        const validationResult = this.validateBin(outputPath);
-        if (!validationResult || !validationResult.valid) {
-            console.log('⚠️  Warning: Generated file failed validation!');
+        if (!unpackResult.result) {
+            throw new HmacError('Failed to unpack dump - invalid HMAC');
         }
 
-        return {
-            uid: Array.from(packedData.slice(0, 8)),
-            pwd: pwd,
-            amiiboId: originalAmiiboID.map(b => b.toString(16).padStart(2, '0')).join(''),
+        const info = Object.assign({ layout: layout.size }, this.decodePlaintext(unpackResult.unpacked));
+        const idFields = this.parseAmiiboId(unpackResult.unpacked.slice(476, 484));
+        delete idFields.bytes;
+        info.amiiboIdFields = idFields;
+        info.names = this.lookupAmiibo(info.amiiboId);
+        return info;
+    }
+
+    // Decode a dump file in any registered format
+    getInfo(filePath) {
+        try {
+            return Object.assign({ file: filePath }, this.info(this.readTemplateFile(filePath)));
+        } catch (error) {
+            throw error instanceof HmacError ? new HmacError(`Failed to unpack ${filePath} - invalid HMAC`) : error;
+        }
+    }
+
+    // Print decoded amiibo fields for humans
+    printInfo(info) {
+        const yesNo = value => value ? 'yes' : 'no';
+        const settings = info.settings;
+
+        this.logger.log(`\n📄 ${info.file}`);
+        if (info.names) {
+            this.logger.log(`  Name:                  ${info.names.name}`);
+            this.logger.log(`  Character:             ${info.names.character || '(unknown)'}`);
+            this.logger.log(`  Amiibo series:         ${info.names.amiiboSeries || '(unknown)'}`);
+            this.logger.log(`  Game series:           ${info.names.gameSeries || '(unknown)'}`);
+        }
+        this.logger.log(`  UID:                   ${info.uid}`);
+        this.logger.log(`  Amiibo ID:             ${info.amiiboId}`);
+        if (info.amiiboIdFields) {
+            const id = info.amiiboIdFields;
+            this.logger.log(`    Game series:         ${id.gameSeriesId}`);
+            this.logger.log(`    Character:           ${id.characterId}`);
+            this.logger.log(`    Variant:             ${id.characterVariant.toString(16).padStart(2, '0')}`);
+            this.logger.log(`    Figure type:         ${id.figureTypeName}`);
+            this.logger.log(`    Model number:        ${id.modelNumber.toString(16).padStart(4, '0')}`);
+            this.logger.log(`    Series:              ${id.series.toString(16).padStart(2, '0')}`);
+        }
+        this.logger.log(`  Layout:                ${info.layout} bytes`);
+        this.logger.log(`  Write counter:         ${info.writeCounter}`);
+        this.logger.log(`  Version:               ${info.version}`);
+        this.logger.log(`  Settings flags:        0x${settings.flags.toString(16).padStart(2, '0')}`);
+        this.logger.log(`  Registered:            ${yesNo(settings.registered)}`);
+        this.logger.log(`  App data initialized:  ${yesNo(settings.appDataInitialized)}`);
+        this.logger.log(`  Font region:           ${settings.fontRegion}`);
+        this.logger.log(`  Country code:          ${settings.countryCode}`);
+        this.logger.log(`  Nickname:              ${info.nickname || '(none)'}`);
+        if (info.ownerMii) {
+            this.logger.log(`  Owner Mii:             ${info.ownerMii.name || '(no name)'} (author: ${info.ownerMii.author || 'unknown'})`);
+        } else {
+            this.logger.log('  Owner Mii:             (none)');
+        }
+        this.logger.log(`  Init date:             ${info.initDate || '(not set)'}`);
+        this.logger.log(`  Last write date:       ${info.lastWriteDate || '(not set)'}`);
+        this.logger.log(`  CRC counter:           ${info.crcCounter}`);
+        this.logger.log(`  Register info CRC:     ${info.registerInfoCrc}`);
+        this.logger.log(`  Console ID hash:       ${info.consoleIdHash}`);
+        this.logger.log(`  Application title ID:  ${info.applicationTitleId}`);
+        this.logger.log(`  App write counter:     ${info.applicationWriteCounter}`);
+        this.logger.log(`  App ID:                ${info.appId}`);
+    }
+
+    // Compare the decrypted contents of two dumps by named region, in memory.
+    // opts: { force } to compare even when an HMAC doesn't verify
+    // Returns { identical, regions, appDataRanges }: only changed regions are listed, with their
+    // values before and after, and appDataRanges holds each run of changed app data bytes
+    diff(bufferA, bufferB, opts = {}) {
+        const plainA = this.decrypt(bufferA, { force: opts.force, logger: SILENT_LOGGER }).data;
+        const plainB = this.decrypt(bufferB, { force: opts.force, logger: SILENT_LOGGER }).data;
+
+        const hex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
+        const show = (region, bytes) => {
+            switch (region.show) {
+                case 'number': return bytes.reduce((value, b) => (value << 8) | b, 0);
+                case 'date': return this.decodeDate(bytes[0], bytes[1]);
+                case 'text': return this.decodeUTF16(bytes, true);
+                case 'count': return null;
+                default: return hex(bytes);
+            }
+        };
+
+        const regions = [];
+        for (const region of PLAINTEXT_REGIONS) {
+            const before = plainA.slice(region.start, region.end);
+            const after = plainB.slice(region.start, region.end);
+            const changedBytes = before.reduce((count, b, i) => count + (b !== after[i] ? 1 : 0), 0);
+            if (changedBytes > 0) {
+                regions.push({
+                    name: region.name,
+                    type: region.show,
+                    start: region.start,
+                    end: region.end,
+                    changedBytes: changedBytes,
+                    before: show(region, before),
+                    after: show(region, after)
+                });
+            }
+        }
+
+        // Runs of changed bytes inside the app data area
+        const appDataRanges = [];
+        let run = null;
+        for (let i = APP_DATA_OFFSET; i <= 436; i++) {
+            const changed = i < 436 && plainA[i] !== plainB[i];
+            if (changed && !run) {
+                run = { start: i };
+            } else if (!changed && run) {
+                appDataRanges.push({
+                    start: run.start,
+                    end: i,
+                    appDataOffset: run.start - APP_DATA_OFFSET,
+                    before: hex(plainA.slice(run.start, i)),
+                    after: hex(plainB.slice(run.start, i))
+                });
+                run = null;
+            }
+        }
+
+        return {
+            identical: regions.length === 0,
+            regions: regions,
+            appDataRanges: appDataRanges
+        };
+    }
+
+    // Read, decrypt and compare two amiibo files
+    // options: { force } to compare even when an HMAC doesn't verify
+    getDiff(pathA, pathB, options = {}) {
+        const result = this.diff(this.readTemplateFile(pathA), this.readTemplateFile(pathB), options);
+        return Object.assign({ fileA: pathA, fileB: pathB }, result);
+    }
+
+    // Print a diff for humans
+    printDiff(diff) {
+        const shorten = text => text.length > 47 ? text.slice(0, 47) + '…' : text;
+
+        this.logger.log(`\n🔀 ${diff.fileA} -> ${diff.fileB}`);
+        if (diff.identical) {
+            this.logger.log('  No differences in the decrypted data');
+            return;
+        }
+
+        for (const region of diff.regions) {
+            const label = `${region.name}:`.padEnd(23);
+            if (region.type === 'count') {
+                this.logger.log(`  ${label}${region.changedBytes} of ${region.end - region.start} byte(s) changed`);
+            } else if (region.type === 'text') {
+                this.logger.log(`  ${label}"${region.before}" -> "${region.after}"`);
+            } else {
+                const value = v => v === null ? '(not set)' : v;
+                this.logger.log(`  ${label}${value(region.before)} -> ${value(region.after)}`);
+            }
+        }
+
+        if (diff.appDataRanges.length > 0) {
+            this.logger.log(`  App data ranges (${diff.appDataRanges.length}):`);
+            for (const range of diff.appDataRanges) {
+                const offsets = `0x${range.start.toString(16).padStart(3, '0')}-0x${(range.end - 1).toString(16).padStart(3, '0')}`;
+                const relative = `app data +0x${range.appDataOffset.toString(16).padStart(2, '0')}`;
+                this.logger.log(`    ${offsets} (${relative}, ${range.end - range.start} byte(s))`);
+                this.logger.log(`      - ${shorten(range.before)}`);
+                this.logger.log(`      + ${shorten(range.after)}`);
+            }
+        }
+    }
+
+    // Give a dump a new UID and re-sign it, in memory.
+    // opts: { uid } 14 hex chars (random when absent), { size } of the result, { logger }
+    // Returns { data, uid, pwd, amiiboId, validation }; throws HmacError if the dump doesn't verify
+    repack(buffer, opts = {}) {
+        this.requireKeys();
+        this.checkOutputOptions(null, opts.size);
+        const logger = opts.logger || this.logger;
+
+        const layout = this.getDumpLayout(buffer);
+        logger.log('Template layout:', layout.description);
+
+        const templateData = this.getTagData(buffer);
+        const signature = this.getSignature(buffer);
+        const unpackResult = maboii.unpack(this.keys, templateData);
+
+        if (!unpackResult.result) {
+            throw new HmacError('Failed to unpack template file - invalid HMAC');
+        }
+
+        const unpackedData = unpackResult.unpacked;
+        logger.log('Template unpacked successfully');
+
+        // Get original amiibo ID from unpacked data (positions 84-91 in packed become different in unpacked)
+        // We'll read it from the original packed data
+        const originalAmiiboID = templateData.slice(84, 92);
+        logger.log('Original Amiibo ID:', originalAmiiboID.map(b => b.toString(16).padStart(2, '0')).join(''));
+
+        // Generate or use custom UID
+        const newUID = this.issueUID(opts.uid, originalAmiiboID.map(b => b.toString(16).padStart(2, '0')).join(''));
+        const bcc0 = this.calculateBCC0(newUID);
+
+        logger.log('New UID:', newUID.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        logger.log('BCC0:', bcc0.toString(16).padStart(2, '0'));
+
+        // Set new UID in unpacked data
+        unpackedData[468] = newUID[0];
+        unpackedData[469] = newUID[1];
+        unpackedData[470] = newUID[2];
+        unpackedData[471] = bcc0;
+        unpackedData[472] = newUID[3];
+        unpackedData[473] = newUID[4];
+        unpackedData[474] = newUID[5];
+        unpackedData[475] = newUID[6];
+
+        // Pack the data
+        logger.log('Packing data...');
+        let packedData = maboii.pack(this.keys, unpackedData);
+
+        // Fix position 8 (XOR of bytes 4-7)
+        packedData[8] = packedData[4] ^ packedData[5] ^ packedData[6] ^ packedData[7];
+
+        // Restore original amiibo ID in packed data
+        for (let i = 0; i < 8; i++) {
+            packedData[84 + i] = originalAmiiboID[i];
+        }
+
+        // Calculate and set PWD
+        const pwd = this.calculatePWD(packedData);
+        packedData[532] = pwd[0];
+        packedData[533] = pwd[1];
+        packedData[534] = pwd[2];
+        packedData[535] = pwd[3];
+
+        // Set PACK
+        packedData[536] = 0x80;
+        packedData[537] = 0x80;
+
+        // Keep the template's originality signature
+        const outputData = signature ? Array.from(packedData).concat(signature) : packedData;
+        const data = Buffer.from(opts.size ? this.resizeDump(outputData, opts.size) : outputData);
+
+        return {
+            data: data,
+            uid: Array.from(packedData.slice(0, 8)),
+            pwd: pwd,
+            amiiboId: originalAmiiboID.map(b => b.toString(16).padStart(2, '0')).join(''),
+            validation: this.validate(data)
+        };
+    }
+
+    // Build a fresh, signed amiibo from an ID, in memory.
+    // opts: { uid } 14 hex chars (random when absent), { size } of the result, { logger },
+    // { force } to build an ID that fails the sanity checks instead of throwing AmiiboIdError
+    // Returns { data, uid, pwd, amiiboId, validation }
+    create(amiiboId, opts = {}) {
+        this.requireKeys();
+        this.checkOutputOptions(null, opts.size);
+        const logger = opts.logger || this.logger;
+
+        // Catch mistyped IDs before anything is built
+        const idFields = this.parseAmiiboId(amiiboId);
+        logger.log('Decoded ID:', this.describeAmiiboId(idFields));
+        const names = this.lookupAmiibo(idFields.id);
+        if (names) {
+            logger.log('Name:', `${names.name} (${names.amiiboSeries || 'unknown series'})`);
+        }
+        const idCheck = this.checkAmiiboId(idFields);
+        if (this.database && !names) {
+            idCheck.warnings.push('ID not found in the amiibo database');
+        }
+        for (const warning of idCheck.warnings) {
+            logger.warn(`⚠️  Warning: ${warning}`);
+        }
+        if (idCheck.errors.length > 0) {
+            if (!opts.force) {
+                throw new AmiiboIdError(`Invalid amiibo ID ${amiiboId}: ${idCheck.errors.join('; ')} (use --force to write it anyway)`);
+            }
+            for (const error of idCheck.errors) {
+                logger.warn(`⚠️  Warning: ${error} (forced)`);
+            }
+        }
+
+        // Create base unpacked data (540 bytes of zeros)
+        const unpackedData = new Array(540).fill(0);
+
+        // Generate or use custom UID
+        const newUID = this.issueUID(opts.uid, idFields.id);
+        const bcc0 = this.calculateBCC0(newUID);
+
+        logger.log('Generated UID:', newUID.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        logger.log('Calculated BCC0:', bcc0.toString(16).padStart(2, '0'));
+
+        // Set UID in unpacked data (positions 468-475)
+        unpackedData[468] = newUID[0];
+        unpackedData[469] = newUID[1];
+        unpackedData[470] = newUID[2];
+        unpackedData[471] = bcc0;
+        unpackedData[472] = newUID[3];
+        unpackedData[473] = newUID[4];
+        unpackedData[474] = newUID[5];
+        unpackedData[475] = newUID[6];
+
+        // Set the magic bytes from AmiiboConverter
+        const magicBytes1 = [0x48, 0x0f, 0xe0, 0xf1, 0x10, 0xff, 0xee, 0xa5];
+        for (let i = 0; i < magicBytes1.length; i++) {
+            unpackedData[9 + i] = magicBytes1[i];
+        }
+
+        // Set more magic bytes at position 0x208 (520) in unpacked data
+        const magicBytes2 = [0x01, 0x00, 0x0f, 0xbf, 0x00, 0x00, 0x00, 0x04,
+                            0x5f, 0x00, 0x00, 0x00, 0x4e, 0xdb, 0xf1, 0x28,
+                            0x80, 0x80, 0x00, 0x00];
+        for (let i = 0; i < magicBytes2.length; i++) {
+            unpackedData[520 + i] = magicBytes2[i];
+        }
+
+        // Set amiibo ID in UNPACKED data at position 476-483 BEFORE packing
+        const idBytes = idFields.bytes;
+        for (let i = 0; i < 8; i++) {
+            unpackedData[476 + i] = idBytes[i];
+        }
+        logger.log('Amiibo ID set in unpacked data at positions 476-483:', idBytes.map(b => b.toString(16).padStart(2, '0')).join(''));
+
+        // Pack the data to get proper structure
+        logger.log('Packing amiibo data...');
+        let packedData = maboii.pack(this.keys, unpackedData);
+
+        // Set magic bytes in PACKED data (they get lost during packing)
+        const packedMagicBytes = [0x48, 0x0f, 0xe0, 0xf1, 0x10, 0xff, 0xee, 0xa5];
+        for (let i = 0; i < packedMagicBytes.length; i++) {
+            packedData[9 + i] = packedMagicBytes[i];
+        }
+        logger.log('Magic bytes set in packed data');
+
+        // Calculate position 8 as XOR of UID bytes 4-7
+        packedData[8] = packedData[4] ^ packedData[5] ^ packedData[6] ^ packedData[7];
+
+        // Calculate PWD from the packed UID
+        const pwd = this.calculatePWD(packedData);
+
+        // Set PWD and PACK in packed data
+        packedData[532] = pwd[0];
+        packedData[533] = pwd[1];
+        packedData[534] = pwd[2];
+        packedData[535] = pwd[3];
+        packedData[536] = 0x80; // PACK
+        packedData[537] = 0x80; // PACK
+
+        const data = Buffer.from(opts.size ? this.resizeDump(packedData, opts.size) : packedData);
+
+        return {
+            data: data,
+            uid: Array.from(packedData.slice(0, 8)),
+            pwd: pwd,
+            amiiboId: idFields.id,
+            validation: this.validate(data)
+        };
+    }
+
+    // Rebuild every derived byte of a decryptable dump and re-sign it, in memory.
+    // opts: { size } of the result, { logger }, { force } to re-sign even if the HMAC stays invalid
+    // Returns { data, changes, validation }; throws HmacError unless forced
+    repair(buffer, opts = {}) {
+        this.requireKeys();
+        const logger = opts.logger || this.logger;
+
+        const layout = this.getDumpLayout(buffer);
+        logger.log('Layout:', layout.description);
+
+        const original = this.getTagData(buffer);
+        const signature = this.getSignature(buffer);
+
+        // BCC0 is covered by the tag HMAC, so fix it before checking the signature
+        const tagData = original.slice();
+        tagData[3] = this.calculateBCC0([tagData[0], tagData[1], tagData[2]]);
+
+        const unpackResult = maboii.unpack(this.keys, tagData);
+        if (!unpackResult.result) {
+            if (!opts.force) {
+                throw new HmacError('Invalid HMAC even with BCC0 fixed - the dump is corrupted or the keys are wrong (use --force to re-sign anyway)');
+            }
+            logger.warn('⚠️  Warning: HMAC invalid, re-signing anyway (forced)');
+        } else {
+            logger.log('Dump unpacked successfully');
+        }
+
+        const unpackedData = unpackResult.unpacked;
+
+        // UID with recalculated BCC0
+        for (let i = 0; i < 8; i++) {
+            unpackedData[468 + i] = tagData[i];
+        }
+
+        // BCC1, internal byte, static lock bytes and capability container (packed bytes 8-15)
+        unpackedData[0] = tagData[4] ^ tagData[5] ^ tagData[6] ^ tagData[7];
+        for (let i = 0; i < TAG_HEADER.length; i++) {
+            unpackedData[1 + i] = TAG_HEADER[i];
+        }
+
+        // Tag header magic (packed byte 16)
+        unpackedData[40] = 0xa5;
+
+        // Dynamic lock bytes, CFG0/CFG1, PWD and PACK (packed bytes 520-539)
+        const pwd = this.calculatePWD(tagData);
+        const config = TAG_CONFIG.concat(pwd, [0x80, 0x80, 0x00, 0x00]);
+        for (let i = 0; i < config.length; i++) {
+            unpackedData[520 + i] = config[i];
+        }
+
+        // Packing recomputes both HMACs
+        logger.log('Packing data...');
+        const packedData = maboii.pack(this.keys, unpackedData);
+
+        // Record every byte that changed
+        const changes = [];
+        for (let i = 0; i < 540; i++) {
+            if (original[i] !== packedData[i]) {
+                changes.push({ offset: i, region: this.getRegionName(i), before: original[i], after: packedData[i] });
+            }
+        }
+
+        if (layout.size === 532) {
+            logger.log('PWD/PACK pages were missing and have been rebuilt');
+        }
+
+        // Keep the originality signature
+        const outputData = signature ? Array.from(packedData).concat(signature) : packedData;
+        const data = Buffer.from(opts.size ? this.resizeDump(outputData, opts.size) : outputData);
+
+        return {
+            data: data,
+            changes: changes,
+            validation: this.validate(data)
+        };
+    }
+
+    // Decrypt a dump to the 540-byte plaintext layout used by maboii/amiitool, in memory.
+    // opts: { force } to return the plaintext even when the HMAC doesn't verify, { logger }
+    // Returns { data, hmacValid }; throws HmacError unless forced
+    decrypt(buffer, opts = {}) {
+        this.requireKeys();
+        const logger = opts.logger || this.logger;
+
+        const layout = this.getDumpLayout(buffer);
+        logger.log('Layout:', layout.description);
+
+        const unpackResult = maboii.unpack(this.keys, this.getTagData(buffer));
+        if (!unpackResult.result) {
+            if (!opts.force) {
+                throw new HmacError('Failed to unpack dump - invalid HMAC (use --force to decrypt anyway)');
+            }
+            logger.warn('⚠️  Warning: HMAC invalid, decrypting anyway (forced)');
+        } else {
+            logger.log('Dump unpacked successfully');
+        }
+
+        return {
+            data: Buffer.from(unpackResult.unpacked),
+            hmacValid: unpackResult.result
+        };
+    }
+
+    // Encrypt and sign a (possibly edited) 540-byte plaintext, in memory, applying the
+    // same fixups as repack: position 8, amiibo ID, PWD and PACK.
+    // opts: { size } of the result, { signature } (32 bytes) to carry over, { logger }
+    // Returns { data, uid, pwd, amiiboId, validation }
+    encrypt(plaintext, opts = {}) {
+        this.requireKeys();
+        const logger = opts.logger || this.logger;
+
+        if (plaintext.length !== 540) {
+            throw new SizeError(`Invalid plaintext size: ${plaintext.length} bytes (expected 540)`);
+        }
+
+        const unpackedData = Array.from(plaintext);
+        const amiiboId = unpackedData.slice(476, 484);
+        logger.log('Amiibo ID:', amiiboId.map(b => b.toString(16).padStart(2, '0')).join(''));
+
+        // An encrypted dump passed by mistake has random bytes where the ID should be
+        if (!this.checkAmiiboId(this.parseAmiiboId(amiiboId)).valid) {
+            logger.warn('⚠️  Warning: Plaintext amiibo ID looks invalid - is the input an encrypted dump instead of decrypt output?');
+        }
+
+        logger.log('Packing data...');
+        const packedData = maboii.pack(this.keys, unpackedData);
+
+        // Fix position 8 (XOR of bytes 4-7)
+        packedData[8] = packedData[4] ^ packedData[5] ^ packedData[6] ^ packedData[7];
+
+        // Restore the amiibo ID from the plaintext
+        for (let i = 0; i < 8; i++) {
+            packedData[84 + i] = amiiboId[i];
+        }
+
+        // Calculate and set PWD and PACK
+        const pwd = this.calculatePWD(packedData);
+        for (let i = 0; i < 4; i++) {
+            packedData[532 + i] = pwd[i];
+        }
+        packedData[536] = 0x80;
+        packedData[537] = 0x80;
+
+        const outputData = opts.signature ? Array.from(packedData).concat(Array.from(opts.signature)) : packedData;
+        const data = Buffer.from(opts.size ? this.resizeDump(outputData, opts.size) : outputData);
+
+        return {
+            data: data,
+            uid: Array.from(packedData.slice(0, 8)),
+            pwd: pwd,
+            amiiboId: amiiboId.map(b => b.toString(16).padStart(2, '0')).join(''),
+            validation: this.validate(data)
+        };
+    }
+
+    // Encode a date as the 16-bit amiibo date (inverse of decodeDate)
+    encodeDate(date) {
+        const raw = ((date.getFullYear() - 2000) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return [(raw >> 8) & 0xFF, raw & 0xFF];
+    }
+
+    // Decrypt a dump, let edit() change the plaintext array, then re-sign it.
+    // The UID is untouched, so the originality signature is carried over.
+    // opts: { size } of the result, { logger }
+    // Returns { data, info, validation } with info decoded from the edited plaintext
+    editPlaintext(buffer, edit, opts = {}) {
+        const logger = opts.logger || this.logger;
+
+        const plain = Array.from(this.decrypt(buffer, { logger: logger }).data);
+        edit(plain);
+
+        const result = this.encrypt(plain, {
+            size: opts.size,
+            signature: this.getSignature(buffer),
+            logger: logger
+        });
+
+        return {
+            data: result.data,
+            info: this.decodePlaintext(plain),
+            validation: result.validation
+        };
+    }
+
+    // Count a user data write: bump the write counter (it saturates at 0xFFFF)
+    // and stamp today as the last write date
+    touchPlaintext(plain) {
+        const writeCounter = Math.min(0xFFFF, ((plain[41] << 8) | plain[42]) + 1);
+        plain[41] = writeCounter >> 8;
+        plain[42] = writeCounter & 0xFF;
+
+        const date = this.encodeDate(new Date());
+        plain[50] = date[0];
+        plain[51] = date[1];
+    }
+
+    // Set the amiibo nickname (up to 10 UTF-16 characters), or clear it with '' or null, in memory.
+    // opts: { size } of the result, { logger }
+    setNickname(buffer, nickname, opts = {}) {
+        const text = nickname || '';
+        const encoded = Buffer.from(text, 'utf16le').swap16();
+        if (encoded.length > 20) {
+            throw new AmiiboError(`Nickname "${text}" is too long: ${encoded.length / 2} UTF-16 characters (maximum 10)`, 'BAD_NICKNAME');
+        }
+
+        return this.editPlaintext(buffer, plain => {
+            for (let i = 0; i < 20; i++) {
+                plain[56 + i] = i < encoded.length ? encoded[i] : 0;
+            }
+            this.touchPlaintext(plain);
+        }, opts);
+    }
+
+    // Turn the registered and/or app data initialized flags on or off, in memory.
+    // flags: { registered, appData } - booleans, leave one out to keep it as it is
+    // opts: { size } of the result, { logger }
+    setFlags(buffer, flags, opts = {}) {
+        return this.editPlaintext(buffer, plain => {
+            const bits = { registered: 0x10, appData: 0x20 };
+            for (const name of Object.keys(bits)) {
+                if (flags[name] === true) {
+                    plain[44] |= bits[name];
+                } else if (flags[name] === false) {
+                    plain[44] &= ~bits[name];
+                }
+            }
+            this.touchPlaintext(plain);
+        }, opts);
+    }
+
+    // Get the owner Mii of a dump as 96-byte Mii store data, in memory.
+    // Returns { data, name, author, crcValid }; throws AmiiboError when the figure has no owner Mii
+    exportMii(buffer, opts = {}) {
+        const logger = opts.logger || this.logger;
+        const plain = this.decrypt(buffer, { logger: logger }).data;
+        const data = plain.slice(OWNER_MII_OFFSET, OWNER_MII_OFFSET + mii.MII_SIZE);
+
+        const decoded = mii.decodeMii(data);
+        if (decoded.empty) {
+            throw new AmiiboError('The figure has no owner Mii', 'NO_MII');
+        }
+
+        return {
+            data: Buffer.from(data),
+            name: decoded.name,
+            author: decoded.author,
+            crcValid: decoded.crcValid
+        };
+    }
+
+    // Replace the owner Mii of a dump, in memory. Takes 96-byte Mii store data (FFSD/CFSD)
+    // or 92-byte Mii data; the CRC is recalculated and the registered flag set.
+    // opts: { size } of the result, { logger }
+    // Returns { data, info, validation }
+    importMii(buffer, miiData, opts = {}) {
+        const logger = opts.logger || this.logger;
+
+        let storeData;
+        try {
+            storeData = mii.toStoreData(miiData);
+        } catch (error) {
+            throw new SizeError(error.message);
+        }
+
+        const decoded = mii.decodeMii(storeData);
+        if (miiData.length === mii.MII_SIZE && !mii.decodeMii(miiData).crcValid) {
+            logger.warn('⚠️  Warning: Mii CRC was wrong and has been recalculated');
+        }
+        logger.log(`Mii: ${decoded.name || '(no name)'} (author: ${decoded.author || 'unknown'})`);
+
+        return this.editPlaintext(buffer, plain => {
+            for (let i = 0; i < mii.MII_SIZE; i++) {
+                plain[OWNER_MII_OFFSET + i] = storeData[i];
+            }
+            plain[44] |= 0x10;
+            this.touchPlaintext(plain);
+        }, opts);
+    }
+
+    // What app data plugins get to know about the dump, from decodePlaintext() output
+    appDataContext(info) {
+        const names = this.lookupAmiibo(info.amiiboId);
+        return {
+            appId: info.appId,
+            titleId: info.applicationTitleId,
+            appWriteCounter: info.applicationWriteCounter,
+            amiiboId: info.amiiboId,
+            character: names && names.character ? names.character : null
+        };
+    }
+
+    // Decode the app data of a dump with the plugin for its app ID, in memory.
+    // Returns { appId, titleId, appWriteCounter, appDataInitialized, plugin, fields, edits, hex };
+    // plugin is null and fields empty when no plugin knows the app ID
+    readAppData(buffer) {
+        const plain = this.decrypt(buffer, { logger: SILENT_LOGGER }).data;
+        const info = this.decodePlaintext(plain);
+        const decoded = appdata.decodeAppData(plain.slice(APP_DATA_OFFSET, APP_DATA_OFFSET + appdata.APP_DATA_SIZE), this.appDataContext(info));
+
+        return {
+            appId: info.appId,
+            titleId: info.applicationTitleId,
+            appWriteCounter: info.applicationWriteCounter,
+            appDataInitialized: info.settings.appDataInitialized,
+            plugin: decoded.plugin,
+            fields: decoded.fields,
+            edits: decoded.edits.concat(Object.keys(GENERIC_APP_DATA_EDITS)),
+            hex: decoded.hex
+        };
+    }
+
+    // Run an app data edit on a dump and re-sign it, in memory. editName is one of the
+    // plugin's edits for the dump's app ID, or 'clear-claim' for any title.
+    // opts: { size } of the result, { logger }
+    // Returns { data, info, validation }
+    editAppData(buffer, editName, opts = {}) {
+        return this.editPlaintext(buffer, plain => {
+            if (editName === 'clear-claim') {
+                // Title ID, app write counter, app ID and app data, and the app data flag
+                for (let i = 172; i < 186; i++) {
+                    plain[i] = 0;
+                }
+                for (let i = APP_DATA_OFFSET; i < APP_DATA_OFFSET + appdata.APP_DATA_SIZE; i++) {
+                    plain[i] = 0;
+                }
+                plain[44] &= ~0x20;
+            } else {
+                const appData = plain.slice(APP_DATA_OFFSET, APP_DATA_OFFSET + appdata.APP_DATA_SIZE);
+                const edited = appdata.applyEdit(appData, this.appDataContext(this.decodePlaintext(plain)), editName);
+                for (let i = 0; i < edited.appData.length; i++) {
+                    plain[APP_DATA_OFFSET + i] = edited.appData[i];
+                }
+                if (edited.uninitialize) {
+                    plain[44] &= ~0x20;
+                }
+            }
+            this.touchPlaintext(plain);
+        }, opts);
+    }
+
+    // Put a used figure back in the factory state, in memory: settings, nickname, owner Mii,
+    // application info and app data are zeroed and the write counter is reset.
+    // The UID, amiibo ID and keygen salt are kept.
+    // opts: { size } of the result, { logger }
+    wipe(buffer, opts = {}) {
+        return this.editPlaintext(buffer, plain => {
+            plain[41] = 0;
+            plain[42] = 0;
+            for (let i = 44; i < 436; i++) {
+                plain[i] = 0;
+            }
+        }, opts);
+    }
+
+    // Parse an emulation script. One command per line, optionally followed by "-> <expected>"
+    // (ACK, NAK, * for any data, or hex bytes) and a "# note":
+    //   GET_VERSION, READ <page>, FAST_READ <start> <end>, WRITE <page> <8 hex>,
+    //   PWD_AUTH [<8 hex>] (default: PWD derived from the UID), READ_SIG, RESET (power cycle)
+    // Pages are decimal or 0x-prefixed hex. Returns [{ line, name, pages, data, expected, note }]
+    parseEmulationScript(script) {
+        const arity = { GET_VERSION: [0, false], READ: [1, false], FAST_READ: [2, false], WRITE: [1, true], PWD_AUTH: [0, true], READ_SIG: [0, false], RESET: [0, false] };
+        const steps = [];
+
+        script.split(/\r?\n/).forEach((rawLine, index) => {
+            const fail = message => {
+                throw new AmiiboError(`Script line ${index + 1}: ${message}`, 'BAD_SCRIPT');
+            };
+            const hashAt = rawLine.indexOf('#');
+            const text = (hashAt === -1 ? rawLine : rawLine.slice(0, hashAt)).trim();
+            if (text === '') {
+                return;
+            }
+
+            const [commandText, expectedText] = text.split('->').map(part => part.trim());
+            const [word, ...params] = commandText.split(/\s+/);
+            const name = word.toUpperCase();
+            if (!arity[name]) {
+                fail(`unknown command "${word}"`);
+            }
+
+            const [pageCount, takesData] = arity[name];
+            const pages = params.slice(0, pageCount).map(param => {
+                const page = /^0x[0-9a-f]+$/i.test(param) ? parseInt(param, 16) : /^\d+$/.test(param) ? parseInt(param, 10) : NaN;
+                if (isNaN(page) || page > 0xff) {
+                    fail(`"${param}" is not a page number`);
+                }
+                return page;
+            });
+            if (pages.length < pageCount) {
+                fail(`${name} needs ${pageCount} page number(s)`);
+            }
+
+            const dataHex = params.slice(pageCount).join('');
+            if (dataHex !== '' && (!takesData || !/^[0-9a-f]{8}$/i.test(dataHex))) {
+                fail(takesData ? `${name} data must be 4 bytes (8 hex chars)` : `${name} takes no data`);
+            }
+            if (name === 'WRITE' && dataHex === '') {
+                fail('WRITE needs 4 bytes of data');
+            }
+
+            let expected = null;
+            if (expectedText !== undefined) {
+                expected = expectedText.replace(/\s+/g, '');
+                if (!/^(ACK|NAK|\*)$/i.test(expected) && !/^([0-9a-f]{2})+$/i.test(expected)) {
+                    fail(`expected response must be ACK, NAK, * or hex bytes, got "${expectedText}"`);
+                }
+                expected = /^(ACK|NAK)$/i.test(expected) ? expected.toUpperCase() : expected.toLowerCase();
+            }
+
+            steps.push({
+                line: index + 1,
+                name: name,
+                pages: pages,
+                data: dataHex === '' ? null : Buffer.from(dataHex, 'hex'),
+                expected: expected,
+                note: hashAt === -1 ? null : rawLine.slice(hashAt + 1).trim() || null
+            });
+        });
+
+        return steps;
+    }
+
+    // The session a console has with an amiibo, as an emulation script: identify and read
+    // the tag, authenticate with the PWD derived from the UID, write the data back unchanged,
+    // then check that the amiibo ID, the configuration and unauthenticated writes are refused
+    defaultEmulationScript(buffer) {
+        const tagData = this.getTagData(buffer);
+        const hex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+        const page = n => hex(tagData.slice(n * 4, n * 4 + 4));
+
+        const lines = [
+            `GET_VERSION -> ${hex(ntag215.VERSION)}`,
+            `READ 0 -> ${hex(tagData.slice(0, 16))}  # UID, lock bytes and capability container`,
+            'READ_SIG',
+            'FAST_READ 0 134 -> *  # whole memory',
+            'PWD_AUTH -> 8080  # PWD derived from the UID, amiibo PACK'
+        ];
+        for (const [first, last] of CONSOLE_WRITE_PAGES) {
+            for (let n = first; n <= last; n++) {
+                lines.push(`WRITE ${n} ${page(n)} -> ACK`);
+            }
+        }
+        lines.push(
+            `WRITE 21 ${page(21)} -> NAK  # amiibo ID is locked`,
+            'PWD_AUTH -> 8080',
+            `WRITE 131 ${page(131)} -> NAK  # configuration is locked (CFGLCK)`,
+            'RESET',
+            `WRITE 4 ${page(4)} -> NAK  # writes need PWD_AUTH`,
+            'READ 4 -> *  # reads don\'t'
+        );
+        return lines.join('\n') + '\n';
+    }
+
+    // Run an emulation script (see parseEmulationScript) against an NTAG215 model of a dump.
+    // script: script text, or null for the console-style session of defaultEmulationScript.
+    // Needs no keys. Returns { steps, passed, failedCount, data } where every step has
+    // { line, command, response, expected, passed, note } and data is the tag memory afterwards.
+    emulate(buffer, script = null) {
+        this.getDumpLayout(buffer);
+
+        // A 532-byte dump gets the PWD and PACK derived from its UID, which is what a tag
+        // written from it holds (see writePlan), not the factory values
+        const tag = new ntag215.Ntag215(this.resizeDump(buffer, buffer.length === 572 ? 572 : 540));
+        const hex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        const describe = response => ntag215.isAck(response) ? 'ACK' : ntag215.isNak(response) ? `NAK ${response[0]}` : hex(response);
+
+        const steps = this.parseEmulationScript(script === null ? this.defaultEmulationScript(buffer) : script).map(step => {
+            let response = null;
+            switch (step.name) {
+                case 'GET_VERSION': response = tag.getVersion(); break;
+                case 'READ': response = tag.read(step.pages[0]); break;
+                case 'FAST_READ': response = tag.fastRead(step.pages[0], step.pages[1]); break;
+                case 'WRITE': response = tag.write(step.pages[0], step.data); break;
+                case 'PWD_AUTH': response = tag.pwdAuth(step.data || this.calculatePWD(tag.memory.slice(0, 8))); break;
+                case 'READ_SIG': response = tag.readSig(); break;
+                case 'RESET': tag.reset(); break;
+            }
+
+            let passed = null;
+            if (step.expected !== null && response !== null) {
+                if (step.expected === 'ACK') {
+                    passed = ntag215.isAck(response);
+                } else if (step.expected === 'NAK') {
+                    passed = ntag215.isNak(response);
+                } else if (step.expected === '*') {
+                    passed = response.length > 1;
+                } else {
+                    passed = hex(response) === step.expected;
+                }
+            }
+
+            return {
+                line: step.line,
+                command: [step.name].concat(step.pages).join(' '),
+                response: response === null ? null : describe(response),
+                expected: step.expected,
+                passed: passed,
+                note: step.note
+            };
+        });
+
+        const failed = steps.filter(step => step.passed === false);
+        return {
+            steps: steps,
+            passed: failed.length === 0,
+            failedCount: failed.length,
+            data: tag.toBuffer()
+        };
+    }
+
+    // Ordered page writes that turn a blank NTAG215 with the dump's UID into the dump: the
+    // capability container and data pages first, then PWD and PACK, the static and dynamic
+    // lock bytes, CFG0 (AUTH0) and last CFG1 (ACCESS, whose CFGLCK locks the configuration).
+    // Once AUTH0 is written, writes to pages from AUTH0 on need PWD_AUTH, so those steps have
+    // auth set. The plan is checked by replaying it on a virtual blank tag; every byte the
+    // chip lets a reader write must end up as in the dump. Needs no keys.
+    // Returns { uid, pwd, pack, steps: [{ step, page, data, region, auth }], verified, problems }
+    writePlan(buffer) {
+        this.getDumpLayout(buffer);
+
+        const tagData = this.resizeDump(buffer, 540);
+        const hex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+        const page = n => tagData.slice(n * 4, n * 4 + 4);
+        const regionOf = n => Array.from(new Set([0, 1, 2, 3].map(i => this.getRegionName(n * 4 + i)))).join(', ');
+
+        const order = [ntag215.CC_PAGE];
+        for (let n = 4; n < ntag215.DYNAMIC_LOCK_PAGE; n++) {
+            order.push(n);
+        }
+        order.push(ntag215.PWD_PAGE, ntag215.PACK_PAGE, ntag215.LOCK_PAGE, ntag215.DYNAMIC_LOCK_PAGE, ntag215.CFG0_PAGE, ntag215.CFG1_PAGE);
+
+        const auth0 = page(ntag215.CFG0_PAGE)[3];
+        let auth0Written = false;
+        const steps = order.map((n, i) => {
+            const step = { step: i + 1, page: n, data: hex(page(n)), region: regionOf(n), auth: auth0Written && n >= auth0 };
+            auth0Written = auth0Written || n === ntag215.CFG0_PAGE;
+            return step;
+        });
+
+        // Replay on a blank tag with the dump's UID
+        const uid = [0, 1, 2, 4, 5, 6, 7].map(i => tagData[i]);
+        const pwd = page(ntag215.PWD_PAGE);
+        const tag = ntag215.Ntag215.blank(uid);
+        const problems = [];
+        for (const step of steps) {
+            if (step.auth && ntag215.isNak(tag.pwdAuth(pwd))) {
+                problems.push(`Step ${step.step}: PWD_AUTH before writing page ${step.page} is refused`);
+            } else if (ntag215.isNak(tag.write(step.page, page(step.page)))) {
+                problems.push(`Step ${step.step}: write to page ${step.page} (${step.region}) is refused`);
+            }
+        }
+
+        // The chip sets the UID, BCC bytes, internal byte and the RFUI byte of page 130 itself
+        const chipBytes = new Set([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, ntag215.DYNAMIC_LOCK_PAGE * 4 + 3]);
+        for (let i = 0; i < tagData.length; i++) {
+            if (!chipBytes.has(i) && tag.memory[i] !== tagData[i]) {
+                problems.push(`Byte ${i} (${this.getRegionName(i)}) ends up ${hex([tag.memory[i]])} instead of ${hex([tagData[i]])}`);
+            }
+        }
+
+        return {
+            uid: hex(uid),
+            pwd: hex(pwd),
+            pack: hex(page(ntag215.PACK_PAGE).slice(0, 2)),
+            steps: steps,
+            verified: problems.length === 0,
+            problems: problems
+        };
+    }
+
+    // Write plan as a Proxmark3 client command script (run with pm3 -s <file>)
+    formatWritePlanPM3(plan) {
+        const lines = [
+            `# Proxmark3 write plan for ${plan.file || 'dump'}`,
+            `# Write to a blank NTAG215 with UID ${plan.uid}: the dump only works on a tag with its UID`,
+            '# The lock bytes and configuration are written last and can\'t be undone'
+        ];
+        for (const step of plan.steps) {
+            lines.push(`hf mfu wrbl -b ${step.page} -d ${step.data.toUpperCase()}${step.auth ? ' -k ' + plan.pwd.toUpperCase() : ''}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Write plan as a JSON write sequence for any writer
+    formatWritePlanJSON(plan) {
+        return JSON.stringify(plan, null, 2);
+    }
+
+    // Validate a file written by one of the commands below and warn if it fails
+    validateOutput(outputPath, what) {
+        this.logger.log(`\n📋 Validating ${what} file...`);
+        const validationResult = this.validateBin(outputPath);
+        if (!validationResult.valid) {
+            this.logger.warn(`⚠️  Warning: The ${what} file failed validation!`);
+        }
+        return validationResult.valid;
+    }
+
+    // Change UID in existing amiibo file
+    // options: { format, size } for the output file
+    changeUID(templatePath, outputPath, customUID = null, options = {}) {
+        this.checkOutputOptions(options.format, options.size);
+        this.logger.log('Loading template:', templatePath);
+
+        // Read template (any registered dump format)
+        const result = this.repack(this.readTemplateFile(templatePath), { uid: customUID, size: options.size });
+
+        // Write to file (any registered format), then record the UID as issued
+        const writtenFormat = this.writeOutputFile(outputPath, result.data, options.format);
+        this.commitUID(result.uid);
+
+        this.logger.log('UID change completed!');
+        this.logger.log('Final UID:', result.uid.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        this.logger.log('Position 8:', result.data[8].toString(16).padStart(2, '0'));
+        this.logger.log('PWD:', result.pwd.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        this.logger.log('Output file:', outputPath, `(${writtenFormat})`);
+
+        // Automatically validate the generated file
+        const valid = this.validateOutput(outputPath, 'generated');
+
+        return {
+            uid: result.uid,
+            pwd: result.pwd,
+            amiiboId: result.amiiboId,
+            outputPath: outputPath,
+            format: writtenFormat,
+            valid: valid
+        };
+    }
+
+    // Generate fresh amiibo from scratch
+    // options: { format, size } for the output file, force to write an ID that fails the sanity checks
+    generateFresh(amiiboId, outputPath, customUID = null, options = {}) {
+        this.checkOutputOptions(options.format, options.size);
+        this.logger.log('Creating fresh amiibo with ID:', amiiboId);
+
+        const result = this.create(amiiboId, { uid: customUID, size: options.size, force: options.force });
+
+        // Write to output file (any registered format), then record the UID as issued
+        const writtenFormat = this.writeOutputFile(outputPath, result.data, options.format);
+        this.commitUID(result.uid);
+
+        this.logger.log('Fresh amiibo created successfully!');
+        this.logger.log('UID:', result.uid.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        this.logger.log('Position 8:', result.data[8].toString(16).padStart(2, '0'));
+        this.logger.log('PWD:', result.pwd.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        this.logger.log('Output file:', outputPath, `(${writtenFormat})`);
+
+        // Automatically validate the generated file
+        const valid = this.validateOutput(outputPath, 'generated');
+
+        return {
+            uid: result.uid,
+            pwd: result.pwd,
+            amiiboId: amiiboId,
+            outputPath: outputPath,
+            format: writtenFormat,
+            valid: valid
+        };
+    }
+
+    // Name of the tag region a packed byte offset belongs to
+    getRegionName(offset) {
+        const region = TAG_REGIONS.find(r => offset >= r.start && offset < r.end);
+        return region ? region.name : 'Signature';
+    }
+
+    // Rebuild every derived byte of a decryptable dump file and re-sign it.
+    // options: { format, size } for the output file, force to re-sign even if the HMAC stays invalid
+    repairFile(inputPath, outputPath, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+
+        const result = this.repair(this.readTemplateFile(inputPath), { size: options.size, force: options.force });
+
+        this.logger.log(`\n🔧 ${result.changes.length} byte(s) changed:`);
+        for (const change of result.changes) {
+            const offset = `0x${change.offset.toString(16).padStart(3, '0')} (${String(change.offset).padStart(3)})`;
+            this.logger.log(`  ${offset}  ${change.region.padEnd(20)} ${change.before.toString(16).padStart(2, '0')} -> ${change.after.toString(16).padStart(2, '0')}`);
+        }
+
+        const writtenFormat = this.writeOutputFile(outputPath, result.data, options.format);
+        this.logger.log('\nOutput file:', outputPath, `(${writtenFormat})`);
+
+        // Automatically validate the repaired file
+        const valid = this.validateOutput(outputPath, 'repaired');
+
+        return {
+            changes: result.changes,
+            outputPath: outputPath,
+            format: writtenFormat,
+            valid: valid
+        };
+    }
+
+    // Decrypt a dump file (any registered format) to a raw 540-byte plaintext file
+    // options: { force } to write the plaintext even when the HMAC doesn't verify
+    decryptFile(inputPath, outputPath, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+
+        const result = this.decrypt(this.readTemplateFile(inputPath), { force: options.force });
+        fs.writeFileSync(outputPath, result.data);
+
+        this.logger.log('Plaintext file:', outputPath, `(${result.data.length} bytes)`);
+
+        return {
+            outputPath: outputPath,
+            hmacValid: result.hmacValid
+        };
+    }
+
+    // Encrypt a raw 540-byte plaintext file into a signed dump
+    // options: { format, size } for the output file
+    encryptFile(inputPath, outputPath, options = {}) {
+        this.logger.log('Loading plaintext:', inputPath);
+
+        const result = this.encrypt(fs.readFileSync(inputPath), { size: options.size });
+        const writtenFormat = this.writeOutputFile(outputPath, result.data, options.format);
+
+        this.logger.log('UID:', result.uid.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        this.logger.log('Position 8:', result.data[8].toString(16).padStart(2, '0'));
+        this.logger.log('PWD:', result.pwd.map(b => b.toString(16).padStart(2, '0')).join(' '));
+        this.logger.log('Output file:', outputPath, `(${writtenFormat})`);
+
+        // Automatically validate the encrypted file
+        const valid = this.validateOutput(outputPath, 'encrypted');
+
+        return {
+            uid: result.uid,
+            pwd: result.pwd,
+            amiiboId: result.amiiboId,
+            outputPath: outputPath,
+            format: writtenFormat,
+            valid: valid
+        };
+    }
+
+    // Write the result of a settings edit, print the new settings and validate it
+    writeEditedFile(outputPath, result, options, what) {
+        const writtenFormat = this.writeOutputFile(outputPath, result.data, options.format);
+
+        const info = result.info;
+        this.logger.log(`Nickname: ${info.nickname || '(none)'}`);
+        this.logger.log(`Owner Mii: ${info.ownerMii ? `${info.ownerMii.name || '(no name)'} (author: ${info.ownerMii.author || 'unknown'})` : '(none)'}`);
+        this.logger.log(`Registered: ${info.settings.registered ? 'yes' : 'no'}, app data initialized: ${info.settings.appDataInitialized ? 'yes' : 'no'}`);
+        this.logger.log(`Write counter: ${info.writeCounter}`);
+        this.logger.log('Output file:', outputPath, `(${writtenFormat})`);
+
+        const valid = this.validateOutput(outputPath, what);
+
+        return {
+            info: info,
+            outputPath: outputPath,
+            format: writtenFormat,
+            valid: valid
+        };
+    }
+
+    // Set or clear (with '' or null) the nickname of a dump file
+    // options: { format, size } for the output file
+    setNicknameFile(inputPath, outputPath, nickname, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+        const result = this.setNickname(this.readTemplateFile(inputPath), nickname, { size: options.size });
+        return this.writeEditedFile(outputPath, result, options, 'edited');
+    }
+
+    // Turn the registered and/or app data flags of a dump file on or off
+    // options: { format, size } for the output file
+    setFlagsFile(inputPath, outputPath, flags, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+        const result = this.setFlags(this.readTemplateFile(inputPath), flags, { size: options.size });
+        return this.writeEditedFile(outputPath, result, options, 'edited');
+    }
+
+    // Reset a dump file to the factory unregistered state
+    // options: { format, size } for the output file
+    wipeFile(inputPath, outputPath, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+        const result = this.wipe(this.readTemplateFile(inputPath), { size: options.size });
+        return this.writeEditedFile(outputPath, result, options, 'wiped');
+    }
+
+    // Export the owner Mii of a dump file to a 96-byte Mii file
+    exportMiiFile(inputPath, outputPath) {
+        this.logger.log('Loading dump:', inputPath);
+
+        const result = this.exportMii(this.readTemplateFile(inputPath));
+        fs.writeFileSync(outputPath, result.data);
+
+        this.logger.log(`Mii name: ${result.name || '(no name)'}`);
+        this.logger.log(`Author: ${result.author || 'unknown'}`);
+        if (!result.crcValid) {
+            this.logger.warn('⚠️  Warning: Mii CRC is invalid');
+        }
+        this.logger.log('Mii file:', outputPath, `(${result.data.length} bytes)`);
+
+        return {
+            name: result.name,
+            author: result.author,
             outputPath: outputPath
         };
     }
 
-    // Generate fresh amiibo from scratch
-    generateFresh(amiiboId, outputPath, customUID = null) {
-        if (!this.keys) {
-            throw new Error('Master keys not loaded. Call loadKeys() first.');
-        }
+    // Replace the owner Mii of a dump file with the Mii in miiPath
+    // options: { format, size } for the output file
+    importMiiFile(inputPath, miiPath, outputPath, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+        this.logger.log('Loading Mii:', miiPath);
+
+        const result = this.importMii(this.readTemplateFile(inputPath), fs.readFileSync(miiPath), { size: options.size });
+        return this.writeEditedFile(outputPath, result, options, 'edited');
+    }
+
+    // Read and decode the app data of a dump file
+    getAppDataInfo(filePath) {
+        return Object.assign({ file: filePath }, this.readAppData(this.readTemplateFile(filePath)));
+    }
+
+    // Print decoded app data for humans
+    // options: { hex } to show the hex view even when the plugin decoded the data
+    printAppData(info, options = {}) {
+        this.logger.log(`\n🎮 ${info.file}`);
+        this.logger.log(`  App ID:                ${info.appId}`);
+        this.logger.log(`  Application title ID:  ${info.titleId}`);
+        this.logger.log(`  App write counter:     ${info.appWriteCounter}`);
+        this.logger.log(`  App data initialized:  ${info.appDataInitialized ? 'yes' : 'no'}`);
+        this.logger.log(`  Title:                 ${info.plugin || '(no plugin for this app ID)'}`);
+        for (const field of info.fields) {
+            this.logger.log(`  ${(field.label + ':').padEnd(22)} ${field.value}`);
+        }
+        this.logger.log(`  Edits:                 ${info.edits.join(', ')}`);
+
+        // Titles without a plugin, or whose format the plugin doesn't decode, only get the raw bytes
+        if (info.fields.length === 0 || options.hex) {
+            this.logger.log('  App data:');
+            for (const line of info.hex) {
+                this.logger.log(`    ${line}`);
+            }
+        }
+    }
+
+    // Run an app data edit on a dump file
+    // options: { format, size } for the output file
+    editAppDataFile(inputPath, outputPath, editName, options = {}) {
+        this.logger.log('Loading dump:', inputPath);
+        const result = this.editAppData(this.readTemplateFile(inputPath), editName, { size: options.size });
+        return this.writeEditedFile(outputPath, result, options, 'edited');
+    }
 
-        console.log('Creating fresh amiibo with ID:', amiiboId);
+    // Emulate a dump file on an NTAG215 model and print the session.
+    // scriptPath: emulation script file, or null for the console-style session
+    emulateFile(dumpPath, scriptPath = null) {
+        const script = scriptPath ? fs.readFileSync(scriptPath, 'utf8') : null;
+        const result = Object.assign({ file: dumpPath }, this.emulate(this.readTemplateFile(dumpPath), script));
+        this.printEmulation(result);
+        return result;
+    }
 
-        // Create base unpacked data (540 bytes of zeros)
-        const unpackedData = new Array(540).fill(0);
+    // Print an emulation session. Runs of accepted writes to consecutive pages share a line.
+    printEmulation(result) {
+        const shorten = text => text.length > 40 ? `${text.slice(0, 32)}… (${text.length / 2} bytes)` : text;
+        const isWriteAck = step => step && step.command.startsWith('WRITE') && step.response === 'ACK' && step.passed !== false && !step.note;
 
-        // Generate or use custom UID
-        const newUID = customUID ? this.parseCustomUID(customUID) : this.generateRandomUID();
-        const bcc0 = this.calculateBCC0(newUID);
+        this.logger.log(`\n🎮 Emulating NTAG215: ${result.file}`);
 
-        console.log('Generated UID:', newUID.map(b => b.toString(16).padStart(2, '0')).join(' '));
-        console.log('Calculated BCC0:', bcc0.toString(16).padStart(2, '0'));
+        for (let i = 0; i < result.steps.length; i++) {
+            const step = result.steps[i];
+            const icon = step.passed === null ? '➖' : step.passed ? '✅' : '❌';
+            let command = step.command;
+            let response = step.response === null ? '' : shorten(step.response);
 
-        // Set UID in unpacked data (positions 468-475)
-        unpackedData[468] = newUID[0];
-        unpackedData[469] = newUID[1];
-        unpackedData[470] = newUID[2];
-        unpackedData[471] = bcc0;
-        unpackedData[472] = newUID[3];
-        unpackedData[473] = newUID[4];
-        unpackedData[474] = newUID[5];
-        unpackedData[475] = newUID[6];
+            if (isWriteAck(step)) {
+                const firstPage = Number(step.command.split(' ')[1]);
+                let count = 1;
+                while (isWriteAck(result.steps[i + count]) && Number(result.steps[i + count].command.split(' ')[1]) === firstPage + count) {
+                    count++;
+                }
+                if (count > 1) {
+                    command = `WRITE ${firstPage}-${firstPage + count - 1}`;
+                    response = `ACK ×${count}`;
+                    i += count - 1;
+                }
+            }
 
-        // Set the magic bytes from AmiiboConverter
-        const magicBytes1 = [0x48, 0x0f, 0xe0, 0xf1, 0x10, 0xff, 0xee, 0xa5];
-        for (let i = 0; i < magicBytes1.length; i++) {
-            unpackedData[9 + i] = magicBytes1[i];
+            const expected = step.passed === false ? ` (expected ${step.expected})` : '';
+            const note = step.note ? `  # ${step.note}` : '';
+            this.logger.log(`  ${icon} ${command.padEnd(18)} ${response}${expected}${note}`);
         }
 
-        // Set more magic bytes at position 0x208 (520) in unpacked data
-        const magicBytes2 = [0x01, 0x00, 0x0f, 0xbf, 0x00, 0x00, 0x00, 0x04,
-                            0x5f, 0x00, 0x00, 0x00, 0x4e, 0xdb, 0xf1, 0x28,
-                            0x80, 0x80, 0x00, 0x00];
-        for (let i = 0; i < magicBytes2.length; i++) {
-            unpackedData[520 + i] = magicBytes2[i];
+        this.logger.log(`🏆 Overall: ${result.passed ? '✅ PASSED' : `❌ FAILED (${result.failedCount} unexpected response${result.failedCount === 1 ? '' : 's'})`}`);
+    }
+
+    // Work out the write plan of a dump file and print it, or save it as a Proxmark3
+    // script or JSON sequence. format: 'pm3' or 'json', by default from the output extension
+    writePlanFile(dumpPath, outputPath = null, format = null) {
+        const plan = Object.assign({ file: dumpPath }, this.writePlan(this.readTemplateFile(dumpPath)));
+        this.printWritePlan(plan);
+
+        if (outputPath) {
+            const outputFormat = format || (path.extname(outputPath).toLowerCase() === '.json' ? 'json' : 'pm3');
+            if (outputFormat !== 'pm3' && outputFormat !== 'json') {
+                throw new ArgumentError(`Unknown write plan format: ${outputFormat} (expected pm3 or json)`);
+            }
+            const text = outputFormat === 'json' ? this.formatWritePlanJSON(plan) + '\n' : this.formatWritePlanPM3(plan);
+            fs.writeFileSync(outputPath, text);
+            this.logger.log(`💾 Saved ${outputFormat === 'json' ? 'JSON write sequence' : 'Proxmark3 script'}: ${outputPath}`);
         }
+        return plan;
+    }
 
-        // Set amiibo ID in UNPACKED data at position 476-483 BEFORE packing
-        if (amiiboId.length !== 16) {
-            throw new Error('Amiibo ID must be 16 hex characters (8 bytes)');
+    // Print a write plan; the run of data pages shares a line
+    printWritePlan(plan) {
+        const spaced = text => text.match(/../g).join(' ');
+        const isDataPage = step => step.page >= ntag215.CC_PAGE && step.page < ntag215.DYNAMIC_LOCK_PAGE;
+
+        this.logger.log(`\n✍️  Write plan: ${plan.file}`);
+        this.logger.log(`  Target: blank NTAG215 with UID ${spaced(plan.uid)}`);
+        this.logger.log(`  PWD ${spaced(plan.pwd)}, PACK ${spaced(plan.pack)}`);
+        this.logger.log('  Step     Page     Data         Region');
+
+        for (let i = 0; i < plan.steps.length; i++) {
+            const step = plan.steps[i];
+            let count = 1;
+            while (isDataPage(step) && i + count < plan.steps.length && isDataPage(plan.steps[i + count]) &&
+                plan.steps[i + count].page === step.page + count && !plan.steps[i + count].auth) {
+                count++;
+            }
+
+            if (count > 1) {
+                const last = plan.steps[i + count - 1];
+                this.logger.log(`  ${`${step.step}-${last.step}`.padEnd(8)} ${`${step.page}-${last.page}`.padEnd(8)} ${`(${count} pages)`.padEnd(12)} ${step.region} ... ${last.region}`);
+                i += count - 1;
+            } else {
+                this.logger.log(`  ${String(step.step).padEnd(8)} ${String(step.page).padEnd(8)} ${spaced(step.data).padEnd(12)} ${step.region}${step.auth ? ' 🔐 after PWD_AUTH' : ''}`);
+            }
         }
-        const idBytes = [];
-        for (let i = 0; i < amiiboId.length; i += 2) {
-            idBytes.push(parseInt(amiiboId.substr(i, 2), 16));
+
+        if (plan.verified) {
+            this.logger.log('🏆 Replayed on a virtual blank tag: ✅ matches the dump');
+        } else {
+            this.logger.log('🏆 Replayed on a virtual blank tag: ❌');
+            for (const problem of plan.problems) {
+                this.logger.log(`   ⚠️  ${problem}`);
+            }
         }
-        for (let i = 0; i < 8; i++) {
-            unpackedData[476 + i] = idBytes[i];
+    }
+
+    // Read a generate-set manifest: a JSON array of IDs or { id, name } objects,
+    // or a text file with one ID (optionally followed by a name) per line
+    readSetManifest(manifestPath) {
+        const content = fs.readFileSync(manifestPath, 'utf8');
+
+        if (content.trim().startsWith('[')) {
+            return JSON.parse(content).map(item => typeof item === 'string' ? { id: item } : item);
         }
-        console.log('Amiibo ID set in unpacked data at positions 476-483:', idBytes.map(b => b.toString(16).padStart(2, '0')).join(''));
 
-        // Pack the data to get proper structure
-        console.log('Packing amiibo data...');
-        let packedData = maboii.pack(this.keys, unpackedData);
+        return content.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line !== '' && !line.startsWith('#'))
+            .map(line => {
+                const [id, ...name] = line.split(/\s+/);
+                return name.length > 0 ? { id: id, name: name.join(' ') } : { id: id };
+            });
+    }
 
-        // Set magic bytes in PACKED data (they get lost during packing)
-        const packedMagicBytes = [0x48, 0x0f, 0xe0, 0xf1, 0x10, 0xff, 0xee, 0xa5];
-        for (let i = 0; i < packedMagicBytes.length; i++) {
-            packedData[9 + i] = packedMagicBytes[i];
+    // Select database entries by amiibo series and/or game series name (case-insensitive)
+    selectFromDatabase(filter) {
+        if (!this.database) {
+            throw new Error('Amiibo database not loaded. Call loadDatabase() first.');
         }
-        console.log('Magic bytes set in packed data');
 
-        // Calculate position 8 as XOR of UID bytes 4-7
-        packedData[8] = packedData[4] ^ packedData[5] ^ packedData[6] ^ packedData[7];
+        const matches = (value, wanted) => !wanted || (value && value.toLowerCase() === wanted.toLowerCase());
+        const entries = this.database.all()
+            .filter(entry => matches(entry.amiiboSeries, filter.series) && matches(entry.gameSeries, filter.game));
 
-        // Calculate PWD from the packed UID
-        const pwd = this.calculatePWD(packedData);
+        if (entries.length === 0) {
+            const known = filter.series
+                ? Array.from(new Set(this.database.all().map(e => e.amiiboSeries).filter(Boolean)))
+                : Array.from(new Set(this.database.all().map(e => e.gameSeries).filter(Boolean)));
+            throw new ArgumentError(`No amiibo match ${filter.series ? `series "${filter.series}"` : `game "${filter.game}"`}. Known: ${known.sort().join(', ')}`);
+        }
 
-        // Set PWD and PACK in packed data
-        packedData[532] = pwd[0];
-        packedData[533] = pwd[1];
-        packedData[534] = pwd[2];
-        packedData[535] = pwd[3];
-        packedData[536] = 0x80; // PACK
-        packedData[537] = 0x80; // PACK
+        return entries;
+    }
+
+    // Fill in a set layout like "{series}/{name}.bin" for one figure
+    renderSetPath(layout, entry) {
+        const names = this.lookupAmiibo(entry.id) || {};
+        const values = {
+            id: entry.id.toLowerCase(),
+            name: entry.name || names.name || entry.id.toLowerCase(),
+            series: names.amiiboSeries || 'Unknown Series',
+            game: names.gameSeries || 'Unknown Game',
+            character: names.character || 'Unknown Character',
+            type: names.type || this.parseAmiiboId(entry.id).figureTypeName
+        };
+
+        // Keep each placeholder to a single safe path component; one that sanitises to
+        // nothing or only dots ("." or "..") would be hidden or leave its folder, so it
+        // becomes the amiibo ID instead
+        return layout.replace(/\{(\w+)\}/g, (match, key) => {
+            if (!(key in values)) {
+                throw new ArgumentError(`Unknown layout placeholder: ${match}`);
+            }
+            const component = values[key].replace(/[\\/:*?"<>|]/g, '_').replace(/[. ]+$/, '').trim();
+            return /^\.*$/.test(component) ? values.id : component;
+        });
+    }
 
-        // Write to output file
-        fs.writeFileSync(outputPath, Buffer.from(packedData));
+    // Generate a whole set of fresh amiibo into an output tree, each with a unique UID.
+    // options: { layout, format, size, force, summary } - summary is the manifest path
+    generateSet(entries, outputDir, options = {}) {
+        this.requireKeys();
 
-        console.log('Fresh amiibo created successfully!');
-        console.log('UID:', Array.from(packedData.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' '));
-        console.log('Position 8:', packedData[8].toString(16).padStart(2, '0'));
-        console.log('PWD:', pwd.map(b => b.toString(16).padStart(2, '0')).join(' '));
-        console.log('Output file:', outputPath);
+        this.checkOutputOptions(options.format, options.size);
+        const format = options.format ? formats.getFormat(options.format.toLowerCase()) : null;
+        const layout = options.layout || `{series}/{name}${format ? format.extensions[0] || '.' + format.name : '.bin'}`;
+        const summaryPath = options.summary || path.join(outputDir, 'manifest.json');
 
-        // Automatically validate the generated file
-        console.log('\n📋 Validating generated file...');
-        const validationResult = this.validateBin(outputPath);
-        if (!validationResult || !validationResult.valid) {
-            console.log('⚠️  Warning: Generated file failed validation!');
+        this.logger.log(`🚀 Generating ${entries.length} amiibo into ${outputDir} (${layout})...`);
+
+        const usedPaths = new Set();
+        const files = [];
+
+        for (const entry of entries) {
+            const record = { id: entry.id, name: entry.name || null, path: null, uid: null, valid: false, error: null };
+            files.push(record);
+
+            try {
+                const names = this.lookupAmiibo(entry.id);
+                record.name = record.name || (names ? names.name : null);
+
+                // Refuse impossible IDs before creating any folders for them
+                const idCheck = this.checkAmiiboId(this.parseAmiiboId(entry.id));
+                if (!idCheck.valid && !options.force) {
+                    throw new Error(`Invalid amiibo ID: ${idCheck.errors.join('; ')}`);
+                }
+
+                // Duplicate paths (same name twice in a series) get the ID appended
+                let relativePath = this.renderSetPath(layout, entry);
+                if (usedPaths.has(relativePath.toLowerCase())) {
+                    const ext = path.extname(relativePath);
+                    relativePath = `${relativePath.slice(0, relativePath.length - ext.length)}_${entry.id.toLowerCase()}${ext}`;
+                }
+                usedPaths.add(relativePath.toLowerCase());
+                record.path = relativePath;
+
+                const outputPath = path.join(outputDir, relativePath);
+                fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+                // Each file gets the next UID from the UID generator, never one already issued
+                this.logger.log(`\n📦 ${record.name || entry.id} -> ${relativePath}`);
+                const result = this.generateFresh(entry.id, outputPath, null, {
+                    format: options.format,
+                    size: options.size,
+                    force: options.force
+                });
+                record.uid = [0, 1, 2, 4, 5, 6, 7].map(i => result.uid[i].toString(16).padStart(2, '0')).join('');
+                record.valid = result.valid;
+                if (!result.valid) {
+                    record.error = 'Generated file failed validation';
+                }
+            } catch (error) {
+                record.error = error.message;
+                this.logger.log(`❌ ${entry.id}: ${error.message}`);
+            }
         }
 
-        return {
-            uid: Array.from(packedData.slice(0, 8)),
-            pwd: pwd,
-            amiiboId: amiiboId,
-            outputPath: outputPath
+        const summary = {
+            created: new Date().toISOString(),
+            outputDir: outputDir,
+            layout: layout,
+            total: files.length,
+            succeeded: files.filter(f => f.valid).length,
+            failed: files.filter(f => !f.valid).length,
+            files: files
         };
+
+        fs.mkdirSync(path.dirname(summaryPath), { recursive: true });
+        fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2) + '\n');
+
+        this.logger.log(`\n📊 SET SUMMARY`);
+        this.logger.log(`✅ Generated and valid: ${summary.succeeded}`);
+        this.logger.log(`❌ Failed: ${summary.failed}`);
+        for (const failed of files.filter(f => !f.valid)) {
+            this.logger.log(`   ${failed.id}${failed.name ? ' ' + failed.name : ''}: ${failed.error}`);
+        }
+        this.logger.log(`📁 Manifest: ${summaryPath}`);
+
+        return summary;
     }
 }
 
@@ -436,29 +2407,156 @@ class AmiiboTool {
 if (require.main === module) {
     const args = process.argv.slice(2);
 
+    // Exit codes: everything valid, some file invalid, bad usage or unusable keys/database
+    const EXIT_OK = 0;
+    const EXIT_INVALID = 1;
+    const EXIT_USAGE = 2;
+
     function showHelp() {
         console.log('AmiiboTool - Amiibo UID modifier and fresh generator');
         console.log('');
         console.log('Usage:');
-        console.log('  node amiibotool.js <command> <key_file> [options]');
+        console.log('  node amiibotool.js <command> [key_source] [options]');
+        console.log('');
+        console.log('Keys:');
+        console.log('  key_source is key_retail.bin (160 bytes), the split unfixed-info.bin and locked-secret.bin');
+        console.log('  given as "unfixed-info.bin,locked-secret.bin", or a folder holding either. The first argument is');
+        console.log('  the keys when a command gets one argument more than it needs (for validate, info and appdata:');
+        console.log('  when more than one is given and the first is not an existing dump).');
+        console.log('  Without one the keys come from --keys <key_source>, the AMIIBO_KEYS environment variable,');
+        console.log('  "keys" in .amiibotool.json (working directory, then home), or key files in the working directory.');
         console.log('');
         console.log('Commands:');
-        console.log('  change-uid <template.bin> <output.bin> [--uid <14_hex_chars>]');
-        console.log('    Change UID of existing amiibo file');
-        console.log('    --uid: Custom UID (14 hex chars), if not provided uses random UID');
+        console.log('  change-uid <template.bin> <output.bin> [--uid <14_hex_chars>] [--format <name>] [--size <bytes>]');
+        console.log('    Change UID of existing amiibo file (keeps the template signature)');
+        console.log('    --uid: Custom UID (14 hex chars), if not provided uses the UID mode');
+        console.log('    --format: Output format, if not provided uses output extension');
+        console.log('    --size: Pad or trim output to 532, 540 or 572 bytes');
         console.log('');
-        console.log('  generate-fresh <amiibo_id_hex> <output.bin> [--uid <14_hex_chars>]');
+        console.log('  generate-fresh <amiibo_id_hex | --name <name>> <output.bin> [--uid <14_hex_chars>] [--format <name>] [--size <bytes>] [--force]');
         console.log('    Generate fresh amiibo from scratch');
-        console.log('    --uid: Custom UID (14 hex chars), if not provided uses random UID');
+        console.log('    --name: Look the amiibo ID up by exact name in the amiibo database');
+        console.log('    Refuses IDs with impossible figure type or format byte unless --force is given');
+        console.log('    --uid: Custom UID (14 hex chars), if not provided uses the UID mode');
+        console.log('    --format: Output format, if not provided uses output extension');
+        console.log('    --size: Pad or trim output to 532, 540 or 572 bytes');
         console.log('');
-        console.log('  validate <file1.bin> [file2.bin] [...]');
+        console.log('  validate <file1.bin> [file2.bin] [...] [--json | --junit] [--quiet]');
         console.log('    Validate one or more amiibo files');
         console.log('    Checks HMAC, UID calculations, PWD, and PACK values');
+        console.log('    Accepts 532-, 540- and 572-byte dumps');
+        console.log('    --json: Print every check of every file as JSON');
+        console.log('    --junit: Print a JUnit XML report (one test case per check)');
+        console.log('    --quiet: Only print files that fail, one line each');
+        console.log('    Exit code: 0 all valid, 1 some file invalid, 2 usage, key or unreadable file error');
+        console.log('');
+        console.log('  generate-set <output_dir> (--ids <id,id,...> | --manifest <file> | --series <name> | --game <name>)');
+        console.log('               [--layout <pattern>] [--summary <file>] [--format <name>] [--size <bytes>] [--force]');
+        console.log('    Generate many fresh amiibo, each with a unique UID, into an organized tree');
+        console.log('    --manifest: JSON array of IDs / { id, name } objects, or text with one "ID [name]" per line');
+        console.log('    --series/--game: Every amiibo of that series or game in the amiibo database');
+        console.log('    --layout: Path pattern using {series} {game} {character} {name} {id} {type}');
+        console.log('              (default: {series}/{name}.bin)');
+        console.log('    --summary: Manifest of created and failed files (default: <output_dir>/manifest.json)');
+        console.log('    Exit code: 0 every figure generated and valid, 1 some figure failed');
+        console.log('');
+        console.log('  repair <input.bin> <output.bin> [--format <name>] [--size <bytes>] [--force]');
+        console.log('    Recompute BCC0/BCC1, lock bytes, CC, CFG0/CFG1, PWD, PACK and both HMACs');
+        console.log('    Prints every byte that changed');
+        console.log('    --force: Re-sign even if the HMAC is invalid after fixing BCC0');
+        console.log('');
+        console.log('  decrypt <input.bin> <plain.bin> [--force]');
+        console.log('    Write the decrypted 540-byte plaintext (maboii/amiitool layout) for editing');
+        console.log('    --force: Decrypt even if the HMAC is invalid');
+        console.log('');
+        console.log('  encrypt <plain.bin> <output.bin> [--format <name>] [--size <bytes>]');
+        console.log('    Encrypt and sign an edited plaintext, fixing position 8, amiibo ID, PWD and PACK');
+        console.log('');
+        console.log('  nickname <input.bin> <output.bin> (--set <name> | --clear) [--format <name>] [--size <bytes>]');
+        console.log('    Set (up to 10 UTF-16 characters) or clear the amiibo nickname');
+        console.log('');
+        console.log('  flags <input.bin> <output.bin> [--registered on|off] [--app-data on|off] [--format <name>] [--size <bytes>]');
+        console.log('    Turn the registered and app data initialized flags on or off');
+        console.log('');
+        console.log('  wipe <input.bin> <output.bin> [--format <name>] [--size <bytes>]');
+        console.log('    Reset to the factory unregistered state, keeping UID and amiibo ID');
+        console.log('    (nickname and flags bump the write counter, wipe resets it; all re-sign the dump)');
+        console.log('');
+        console.log('  mii-export <input.bin> <owner.ffsd>');
+        console.log('    Save the owner Mii as 96-byte Mii data and print its name and author');
+        console.log('');
+        console.log('  mii-import <input.bin> <mii.ffsd> <output.bin> [--format <name>] [--size <bytes>]');
+        console.log('    Replace the owner Mii (96-byte FFSD/CFSD or 92-byte Mii data) and mark the figure registered');
+        console.log('');
+        console.log('  appdata <file1.bin> [file2.bin] [...] [--json] [--hex]');
+        console.log('    Decode app data with the plugin for its app ID (hex view for unknown titles)');
+        console.log('    --hex: Also show the hex view for titles with a plugin');
+        console.log('');
+        console.log('  appdata-edit <input.bin> <output.bin> <edit> [--format <name>] [--size <bytes>]');
+        console.log('    Run a title-specific app data edit, or clear-claim to free the figure for another game');
+        console.log('');
+        console.log('  diff <a.bin> <b.bin> [--json] [--force]');
+        console.log('    Decrypt both files and list changed fields and app data byte ranges');
+        console.log('    --force: Compare even if an HMAC is invalid');
+        console.log('');
+        console.log('  info <file1.bin> [file2.bin] [...] [--json]');
+        console.log('    Decrypt and show settings, nickname, dates, counters and app IDs');
+        console.log('    --json: Print the decoded fields as JSON');
+        console.log('');
+        console.log('  convert <input> <output> [--format <name>] [--size <bytes>]  (no key file)');
+        console.log('    Convert a dump between formats');
+        console.log('    --format: Output format, if not provided uses output extension');
+        console.log('    --size: Pad or trim output to 532, 540 or 572 bytes');
+        console.log('');
+        console.log('  search <text> [--json]  (no key file)');
+        console.log('    List amiibo IDs whose name, character, series or game contains <text>');
+        console.log('');
+        console.log('  serve [--port <port>] [--host <host>] [--save-dir <dir>] [--max-upload <bytes>]');
+        console.log('    Local HTTP API (validate, info, change-uid, generate-fresh) and browser UI');
+        console.log('    --port: Port to listen on (default: 8215)');
+        console.log('    --host: Address to listen on (default: 127.0.0.1, this machine only)');
+        console.log('    --save-dir: Also keep every generated dump in this folder (default: nothing is saved)');
+        console.log(`    --max-upload: Largest accepted upload in bytes (default: ${httpServer.DEFAULT_MAX_UPLOAD})`);
+        console.log('');
+        console.log('  write-plan <dump> [output] [--format pm3|json]  (no key file)');
+        console.log('    Ordered page writes that put a dump on a blank NTAG215, lock and config pages last');
+        console.log('    output: Save as a Proxmark3 script (pm3) or a JSON write sequence (json, for .json files)');
+        console.log('    Exit code: 0 the plan reproduces the dump on a virtual blank tag, 1 otherwise');
+        console.log('');
+        console.log('  emulate <dump> [--script <file>] [--json]  (no key file)');
+        console.log('    Load a dump into a virtual NTAG215 and run a reader session against it');
+        console.log('    Without --script: the session of a console reading and saving an amiibo');
+        console.log('    --script: One command per line: GET_VERSION, READ <page>, FAST_READ <start> <end>,');
+        console.log('              WRITE <page> <8 hex>, PWD_AUTH [<8 hex>], READ_SIG, RESET,');
+        console.log('              each optionally followed by "-> ACK|NAK|*|<hex>" as the expected response');
+        console.log('    Exit code: 0 every response as expected, 1 otherwise');
+        console.log('');
+        console.log('  keys check [key_source] [--sample <dump>] [--json]');
+        console.log('    Show size, type and SHA-256 fingerprint of each key and what is wrong with them');
+        console.log('    --sample: Known-good dump the keys must decrypt');
+        console.log('    Exit code: 0 keys usable (and the sample decrypts), 1 otherwise');
+        console.log('');
+        console.log('Global options:');
+        console.log('  --db <amiibo.json>: AmiiboAPI database file for names, search and --name');
+        console.log('    (default: amiibo.json in the working directory or next to this script)');
+        console.log('');
+        console.log('UID options (change-uid, generate-fresh, generate-set):');
+        console.log('  --uid-mode <random|seeded|sequential>: How UIDs are picked when --uid is not given (default: random)');
+        console.log('  --seed <text>: Seed for --uid-mode seeded (implied by --seed); the same seed rebuilds the same UIDs in the same order');
+        console.log('  --uid-base <14_hex_chars>: First UID for --uid-mode sequential (implied by --uid-base)');
+        console.log('  --registry <file>: JSON record of every issued UID; UIDs in it are never issued again');
+        console.log('  UIDs always start with the NXP byte 04 and never have the cascade tag 88 as UID3');
+        console.log('');
+        console.log('Formats (input is detected from file content):');
+        for (const format of formats.listFormats()) {
+            console.log(`  ${format.name.padEnd(5)} ${format.description} (${format.extensions.join(', ')})`);
+        }
         console.log('');
         console.log('Examples:');
-        console.log('  # Change UID with random UID (supports .bin and .nfc input)');
+        console.log('  # Change UID with random UID (any supported input format)');
         console.log('  node amiibotool.js change-uid key_retail.bin template.bin output.bin');
         console.log('  node amiibotool.js change-uid key_retail.bin template.nfc output.bin');
+        console.log('  node amiibotool.js change-uid key_retail.bin template.eml output.bin');
         console.log('');
         console.log('  # Change UID with custom UID');
         console.log('  node amiibotool.js change-uid key_retail.bin template.bin output.bin --uid 0451186d0da09e');
@@ -469,9 +2567,67 @@ if (require.main === module) {
         console.log('  # Generate fresh amiibo with custom UID');
         console.log('  node amiibotool.js generate-fresh key_retail.bin 1919000000090002 fresh_pikachu.bin --uid 0451186d0da09e');
         console.log('');
-        console.log('  # Validate amiibo files (supports .bin and .nfc)');
+        console.log('  # Write Flipper Zero .nfc output');
+        console.log('  node amiibotool.js generate-fresh key_retail.bin 1919000000090002 fresh_pikachu.nfc');
+        console.log('  node amiibotool.js change-uid key_retail.bin template.bin output.txt --format nfc');
+        console.log('');
+        console.log('  # Validate amiibo files (any supported format)');
         console.log('  node amiibotool.js validate key_retail.bin file1.bin file2.nfc');
         console.log('  node amiibotool.js validate key_retail.bin *.bin *.nfc');
+        console.log('  node amiibotool.js validate key_retail.bin dumps/*.bin --junit > validation.xml');
+        console.log('');
+        console.log('  # Generate by name and search the amiibo database');
+        console.log('  node amiibotool.js generate-fresh key_retail.bin --name "Poochy" fresh_poochy.bin --db amiibo.json');
+        console.log('  node amiibotool.js search pikachu --db amiibo.json');
+        console.log('');
+        console.log('  # Reproducible UIDs for a set, never reusing a UID recorded in the registry');
+        console.log('  node amiibotool.js generate-set key_retail.bin out --series "Super Smash Bros." --uid-mode seeded --seed my-set --registry uids.json');
+        console.log('');
+        console.log('  # Browser UI on http://127.0.0.1:8215/');
+        console.log('  node amiibotool.js serve key_retail.bin');
+        console.log('');
+        console.log('  # Proxmark3 script that writes a dump to a blank tag');
+        console.log('  node amiibotool.js write-plan fresh_pikachu.bin pikachu.cmd');
+        console.log('');
+        console.log('  # Check how a generated dump behaves on a tag, without writing one');
+        console.log('  node amiibotool.js emulate fresh_pikachu.bin');
+        console.log('');
+        console.log('  # Generate a whole series');
+        console.log('  node amiibotool.js generate-set key_retail.bin out --series "Super Smash Bros." --layout "{series}/{name}.nfc"');
+        console.log('');
+        console.log('  # Show decoded amiibo data');
+        console.log('  node amiibotool.js info key_retail.bin amiibo.bin');
+        console.log('  node amiibotool.js info key_retail.bin *.bin --json');
+        console.log('');
+        console.log('  # Edit app data by hand');
+        console.log('  node amiibotool.js decrypt key_retail.bin amiibo.bin plain.bin');
+        console.log('  node amiibotool.js encrypt key_retail.bin plain.bin edited.bin');
+        console.log('');
+        console.log('  # Rename, unregister or factory-reset a figure');
+        console.log('  node amiibotool.js nickname key_retail.bin amiibo.bin renamed.bin --set "Sparky"');
+        console.log('  node amiibotool.js flags key_retail.bin amiibo.bin unregistered.bin --registered off');
+        console.log('  node amiibotool.js wipe key_retail.bin amiibo.bin factory.bin');
+        console.log('');
+        console.log('  # Move a figure to another owner');
+        console.log('  node amiibotool.js mii-export key_retail.bin theirs.bin alice.ffsd');
+        console.log('  node amiibotool.js mii-import key_retail.bin shared.bin alice.ffsd shared_alice.bin');
+        console.log('');
+        console.log('  # Reset a Smash Bros. Ultimate Figure Player, or free a figure for another game');
+        console.log('  node amiibotool.js appdata key_retail.bin fighter.bin');
+        console.log('  node amiibotool.js appdata-edit key_retail.bin fighter.bin fresh_fp.bin reset');
+        console.log('  node amiibotool.js appdata-edit key_retail.bin fighter.bin unclaimed.bin clear-claim');
+        console.log('');
+        console.log('  # See what a game wrote to a figure');
+        console.log('  node amiibotool.js diff key_retail.bin before.bin after.bin');
+        console.log('');
+        console.log('  # Split key files, or keys found without naming them on every command');
+        console.log('  node amiibotool.js info unfixed-info.bin,locked-secret.bin amiibo.bin');
+        console.log('  AMIIBO_KEYS=~/keys node amiibotool.js info amiibo.bin');
+        console.log('  node amiibotool.js keys check ~/keys --sample amiibo.bin');
+        console.log('');
+        console.log('  # Convert between formats');
+        console.log('  node amiibotool.js convert dump.json dump.nfc');
+        console.log('  node amiibotool.js convert dump.nfc dump.dat --format eml');
         console.log('');
         console.log('Common Amiibo IDs:');
         console.log('  Poochy: 00800102035d0302');
@@ -480,70 +2636,487 @@ if (require.main === module) {
         console.log('  Link: 0100000000040002');
     }
 
-    if (args.length < 3) {
+    if (args.length < (args[0] === 'serve' ? 1 : 2)) {
         showHelp();
-        process.exit(1);
+        process.exit(EXIT_USAGE);
     }
 
     const command = args[0];
-    const keyFile = args[1];
 
-    const tool = new AmiiboTool();
+    // Options that take a value; everything else starting with -- is a switch
+    const VALUE_OPTIONS = ['--uid', '--format', '--size', '--db', '--name',
+        '--ids', '--manifest', '--series', '--game', '--layout', '--summary',
+        '--set', '--registered', '--app-data', '--uid-mode', '--seed', '--uid-base', '--registry',
+        '--script', '--host', '--port', '--save-dir', '--max-upload', '--keys', '--sample'];
+
+    // Read the value following a --flag, or null when absent
+    function getOption(name) {
+        const index = args.indexOf(name);
+        return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+    }
+
+    // Arguments that are neither options nor option values
+    const positional = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+
+    // Exit code for an error thrown by a command: key problems, bad arguments (a malformed
+    // UID or amiibo ID, a nickname that doesn't fit, an unknown name, edit or format, a bad
+    // script) and file system errors (a missing input, an output that can't be written)
+    // are usage errors, like a bad command line; anything else means the content was invalid
+    function exitCodeFor(error) {
+        const usage = [KeyError, UidError, AmiiboIdError, ArgumentError].some(type => error instanceof type) ||
+            ['BAD_NICKNAME', 'BAD_SCRIPT'].includes(error.code) || error.syscall !== undefined;
+        return usage ? EXIT_USAGE : EXIT_INVALID;
+    }
+
+    // Output format and size are checked up front, so a typo is a usage error
+    const formatOption = getOption('--format');
+    if (formatOption && (command === 'write-plan' ? !['pm3', 'json'].includes(formatOption.toLowerCase()) : !formats.getFormat(formatOption.toLowerCase()))) {
+        const names = command === 'write-plan' ? 'pm3, json' : formats.listFormats().map(format => format.name).join(', ');
+        console.error(`Error: Unknown output format: ${formatOption} (expected one of ${names})`);
+        process.exit(EXIT_USAGE);
+    }
+    if (getOption('--size') && !['532', '540', '572'].includes(getOption('--size'))) {
+        console.error(`Error: Invalid output size: ${getOption('--size')} (expected 532, 540 or 572)`);
+        process.exit(EXIT_USAGE);
+    }
+
+    const tool = new AmiiboTool({ logger: console });
+
+    // Amiibo database: --db, else amiibo.json in the working directory or next to the script
+    const dbFile = getOption('--db') || [path.join(process.cwd(), 'amiibo.json'), path.join(__dirname, 'amiibo.json')]
+        .find(candidate => fs.existsSync(candidate));
+    if (dbFile && !tool.loadDatabase(dbFile)) {
+        process.exit(EXIT_USAGE);
+    }
+    if (!tool.database && (command === 'search' || getOption('--name') || getOption('--series') || getOption('--game'))) {
+        console.error('Error: No amiibo database found. Download amiibo.json from AmiiboAPI and pass --db <amiibo.json>');
+        process.exit(EXIT_USAGE);
+    }
+
+    // Key source when none is given on the command line, or null
+    function findKeys() {
+        try {
+            return keyTools.findKeySource({ dirs: [__dirname] });
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(EXIT_USAGE);
+        }
+    }
+
+    // convert, search, write-plan and emulate need no master keys; keys check loads its own
+    if (command === 'convert' || command === 'search' || command === 'write-plan' || command === 'emulate' || command === 'keys') {
+        try {
+            if (command === 'keys') {
+                if (positional[1] !== 'check') {
+                    console.error('Error: Unknown keys subcommand:', positional[1]);
+                    showHelp();
+                    process.exit(EXIT_USAGE);
+                }
+
+                let keySource = positional[2] || getOption('--keys');
+                if (!keySource) {
+                    const found = findKeys();
+                    if (!found) {
+                        console.error(`Error: No master keys found. Pass a key file or folder, set ${keyTools.ENV_VAR} or add "keys" to ${keyTools.CONFIG_FILE}`);
+                        process.exit(EXIT_USAGE);
+                    }
+                    console.log(`🔍 Using keys from ${found.origin}`);
+                    keySource = found.source;
+                }
+
+                const sample = getOption('--sample') ? tool.readTemplateFile(getOption('--sample')) : null;
+                const report = tool.checkKeys(keySource, sample);
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(report, null, 2));
+                } else {
+                    tool.printKeyCheck(report);
+                }
+                process.exit(report.usable && (!report.sample || report.sample.decrypts) ? EXIT_OK : EXIT_INVALID);
+            } else if (command === 'write-plan') {
+                if (positional.length < 2) {
+                    console.error('Error: write-plan requires a dump file');
+                    showHelp();
+                    process.exit(EXIT_USAGE);
+                }
+
+                const plan = tool.writePlanFile(positional[1], positional[2] || null, getOption('--format'));
+                process.exit(plan.verified ? EXIT_OK : EXIT_INVALID);
+            } else if (command === 'emulate') {
+                if (positional.length < 2) {
+                    console.error('Error: emulate requires a dump file');
+                    showHelp();
+                    process.exit(EXIT_USAGE);
+                }
+
+                let result;
+                if (args.includes('--json')) {
+                    result = tool.emulate(tool.readTemplateFile(positional[1]), getOption('--script') ? fs.readFileSync(getOption('--script'), 'utf8') : null);
+                    console.log(JSON.stringify({ file: positional[1], passed: result.passed, failedCount: result.failedCount, steps: result.steps }, null, 2));
+                } else {
+                    result = tool.emulateFile(positional[1], getOption('--script'));
+                }
+                process.exit(result.passed ? EXIT_OK : EXIT_INVALID);
+            } else if (command === 'convert') {
+                if (positional.length < 3) {
+                    console.error('Error: convert requires input and output file');
+                    showHelp();
+                    process.exit(EXIT_USAGE);
+                }
+
+                tool.convertFile(positional[1], positional[2], getOption('--format'), getOption('--size'));
+            } else {
+                const text = positional.slice(1).join(' ');
+                const matches = tool.searchAmiibo(text);
+
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(matches, null, 2));
+                } else {
+                    for (const entry of matches) {
+                        console.log(`${entry.id}  ${entry.name}  [${entry.amiiboSeries || 'unknown series'} / ${entry.gameSeries || 'unknown game'}]`);
+                    }
+                    console.log(`\n${matches.length} match(es) for "${text}" in ${tool.database.size} amiibo`);
+                }
+            }
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(exitCodeFor(error));
+        }
+        process.exit(EXIT_OK);
+    }
+
+    // Arguments each command takes after the keys, or null for a list of dumps
+    const COMMAND_ARGS = {
+        'change-uid': 2, 'generate-fresh': getOption('--name') ? 1 : 2, 'generate-set': 1, 'serve': 0,
+        'repair': 2, 'decrypt': 2, 'encrypt': 2, 'nickname': 2, 'flags': 2, 'wipe': 2,
+        'mii-export': 2, 'mii-import': 3, 'appdata-edit': 3, 'diff': 2,
+        'appdata': null, 'info': null, 'validate': null
+    };
+
+    // Whether the keys are given as the first argument. For a command with a fixed number
+    // of arguments that is when there is one more; for a list of dumps with more than one
+    // argument it is unless the first one is an existing file bigger than a key file, so a
+    // mistyped key path is reported as a key error instead of keys being found elsewhere
+    function hasKeyArgument() {
+        const given = positional.length - 1;
+        const expected = COMMAND_ARGS[command];
+        if (typeof expected === 'number') {
+            return given > expected;
+        }
+        if (given < 2) {
+            return false;
+        }
+        const first = positional[1];
+        return !(fs.existsSync(first) && fs.statSync(first).isFile() && fs.statSync(first).size > keyTools.KEY_SIZE * 2);
+    }
+
+    // Key source: --keys, else the first argument when it is the keys, else
+    // AMIIBO_KEYS, .amiibotool.json or key files in the working directory.
+    // A key source that is not an argument takes the key file's place in positional.
+    if (getOption('--keys')) {
+        positional.splice(1, 0, getOption('--keys'));
+    } else if (!hasKeyArgument()) {
+        const found = findKeys();
+        if (!found) {
+            console.error(`Error: No master keys found. Pass a key file or folder, set ${keyTools.ENV_VAR} or add "keys" to ${keyTools.CONFIG_FILE}`);
+            process.exit(EXIT_USAGE);
+        }
+        positional.splice(1, 0, found.source);
+    }
+
+    // serve takes only the keys
+    if (positional.length < (command === 'serve' ? 2 : 3)) {
+        showHelp();
+        process.exit(EXIT_USAGE);
+    }
 
     // Load keys
-    if (!tool.loadKeys(keyFile)) {
-        process.exit(1);
+    if (!tool.loadKeys(positional[1])) {
+        process.exit(EXIT_USAGE);
+    }
+
+    // UID mode and registry for commands that issue UIDs
+    try {
+        if (getOption('--uid-mode') || getOption('--seed') || getOption('--uid-base')) {
+            tool.setUIDMode({ mode: getOption('--uid-mode'), seed: getOption('--seed'), base: getOption('--uid-base') });
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(EXIT_USAGE);
+    }
+    if (getOption('--registry') && !tool.loadRegistry(getOption('--registry'))) {
+        process.exit(EXIT_USAGE);
+    }
+
+    // Write issued UIDs back to the registry, also when a command fails part way
+    function saveRegistry() {
+        if (tool.registry) {
+            tool.registry.save();
+        }
     }
 
     try {
         if (command === 'change-uid') {
-            if (args.length < 4) {
+            if (positional.length < 4) {
                 console.error('Error: change-uid requires template and output file');
                 showHelp();
-                process.exit(1);
+                process.exit(EXIT_USAGE);
             }
 
-            const templateFile = args[2];
-            const outputFile = args[3];
-            const uidIndex = args.indexOf('--uid');
-            const customUID = uidIndex !== -1 && uidIndex + 1 < args.length ? args[uidIndex + 1] : null;
+            const templateFile = positional[2];
+            const outputFile = positional[3];
+            const customUID = getOption('--uid');
 
-            tool.changeUID(templateFile, outputFile, customUID);
+            tool.changeUID(templateFile, outputFile, customUID, {
+                format: getOption('--format'),
+                size: getOption('--size')
+            });
+            saveRegistry();
 
         } else if (command === 'generate-fresh') {
-            if (args.length < 4) {
-                console.error('Error: generate-fresh requires amiibo ID and output file');
+            const name = getOption('--name');
+            if (positional.length < (name ? 3 : 4)) {
+                console.error('Error: generate-fresh requires amiibo ID (or --name) and output file');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            const amiiboId = name ? tool.resolveAmiiboName(name) : positional[2];
+            const outputFile = name ? positional[2] : positional[3];
+            const customUID = getOption('--uid');
+
+            tool.generateFresh(amiiboId, outputFile, customUID, {
+                format: getOption('--format'),
+                size: getOption('--size'),
+                force: args.includes('--force')
+            });
+            saveRegistry();
+
+        } else if (command === 'generate-set') {
+            if (positional.length < 3) {
+                console.error('Error: generate-set requires an output directory');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            const outputDir = positional[2];
+            let entries;
+            if (getOption('--ids')) {
+                entries = getOption('--ids').split(',').map(id => ({ id: id.trim() })).filter(entry => entry.id !== '');
+            } else if (getOption('--manifest')) {
+                entries = tool.readSetManifest(getOption('--manifest'));
+            } else if (getOption('--series') || getOption('--game')) {
+                entries = tool.selectFromDatabase({ series: getOption('--series'), game: getOption('--game') });
+            } else {
+                console.error('Error: generate-set requires --ids, --manifest, --series or --game');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            const summary = tool.generateSet(entries, outputDir, {
+                layout: getOption('--layout'),
+                format: getOption('--format'),
+                size: getOption('--size'),
+                force: args.includes('--force'),
+                summary: getOption('--summary')
+            });
+            saveRegistry();
+            process.exit(summary.failed > 0 ? EXIT_INVALID : EXIT_OK);
+
+        } else if (command === 'serve') {
+            const host = getOption('--host') || '127.0.0.1';
+            const port = parseInt(getOption('--port') || '8215', 10);
+            const maxUploadBytes = getOption('--max-upload') ? parseInt(getOption('--max-upload'), 10) : httpServer.DEFAULT_MAX_UPLOAD;
+            if (isNaN(port) || isNaN(maxUploadBytes) || maxUploadBytes <= 0) {
+                console.error('Error: --port and --max-upload must be numbers');
+                process.exit(EXIT_USAGE);
+            }
+            if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+                console.warn(`⚠️  Warning: serving on ${host}, other machines can reach the API and use your keys`);
+            }
+
+            const server = httpServer.createServer(tool, { maxUploadBytes: maxUploadBytes, saveDir: getOption('--save-dir'), host: host, logger: console });
+            server.on('error', error => {
+                console.error('Error:', error.message);
+                process.exit(EXIT_USAGE);
+            });
+            server.listen(port, host, () => {
+                console.log(`🌐 AmiiboTool serving on http://${host.includes(':') ? `[${host}]` : host}:${port}/`);
+                console.log(`   Uploads up to ${maxUploadBytes} bytes; ${getOption('--save-dir') ? `results saved to ${getOption('--save-dir')}` : 'nothing is saved to disk'}`);
+            });
+
+        } else if (command === 'repair') {
+            if (positional.length < 4) {
+                console.error('Error: repair requires input and output file');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            tool.repairFile(positional[2], positional[3], {
+                format: getOption('--format'),
+                size: getOption('--size'),
+                force: args.includes('--force')
+            });
+
+        } else if (command === 'decrypt' || command === 'encrypt') {
+            if (positional.length < 4) {
+                console.error(`Error: ${command} requires input and output file`);
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            if (command === 'decrypt') {
+                tool.decryptFile(positional[2], positional[3], { force: args.includes('--force') });
+            } else {
+                tool.encryptFile(positional[2], positional[3], {
+                    format: getOption('--format'),
+                    size: getOption('--size')
+                });
+            }
+
+        } else if (command === 'nickname' || command === 'flags' || command === 'wipe') {
+            if (positional.length < 4) {
+                console.error(`Error: ${command} requires input and output file`);
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            const outputOptions = { format: getOption('--format'), size: getOption('--size') };
+
+            if (command === 'nickname') {
+                if (getOption('--set') === null && !args.includes('--clear')) {
+                    console.error('Error: nickname requires --set <name> or --clear');
+                    showHelp();
+                    process.exit(EXIT_USAGE);
+                }
+                tool.setNicknameFile(positional[2], positional[3], getOption('--set'), outputOptions);
+
+            } else if (command === 'flags') {
+                // on/off switch values, undefined when the option is not given
+                const parseSwitch = name => {
+                    const value = getOption(name);
+                    if (value === null) {
+                        return undefined;
+                    }
+                    if (value !== 'on' && value !== 'off') {
+                        console.error(`Error: ${name} must be on or off`);
+                        process.exit(EXIT_USAGE);
+                    }
+                    return value === 'on';
+                };
+
+                const flags = { registered: parseSwitch('--registered'), appData: parseSwitch('--app-data') };
+                if (flags.registered === undefined && flags.appData === undefined) {
+                    console.error('Error: flags requires --registered and/or --app-data');
+                    showHelp();
+                    process.exit(EXIT_USAGE);
+                }
+                tool.setFlagsFile(positional[2], positional[3], flags, outputOptions);
+
+            } else {
+                tool.wipeFile(positional[2], positional[3], outputOptions);
+            }
+
+        } else if (command === 'mii-export') {
+            if (positional.length < 4) {
+                console.error('Error: mii-export requires input dump and output Mii file');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            tool.exportMiiFile(positional[2], positional[3]);
+
+        } else if (command === 'mii-import') {
+            if (positional.length < 5) {
+                console.error('Error: mii-import requires input dump, Mii file and output file');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            tool.importMiiFile(positional[2], positional[3], positional[4], {
+                format: getOption('--format'),
+                size: getOption('--size')
+            });
+
+        } else if (command === 'appdata') {
+            const appDataFiles = positional.slice(2);
+            const infos = appDataFiles.map(file => tool.getAppDataInfo(file));
+            if (args.includes('--json')) {
+                console.log(JSON.stringify(infos.length === 1 ? infos[0] : infos, null, 2));
+            } else {
+                infos.forEach(info => tool.printAppData(info, { hex: args.includes('--hex') }));
+            }
+
+        } else if (command === 'appdata-edit') {
+            if (positional.length < 5) {
+                console.error('Error: appdata-edit requires input file, output file and edit name');
+                showHelp();
+                process.exit(EXIT_USAGE);
+            }
+
+            tool.editAppDataFile(positional[2], positional[3], positional[4], {
+                format: getOption('--format'),
+                size: getOption('--size')
+            });
+
+        } else if (command === 'diff') {
+            if (positional.length < 4) {
+                console.error('Error: diff requires two files');
                 showHelp();
-                process.exit(1);
+                process.exit(EXIT_USAGE);
             }
 
-            const amiiboId = args[2];
-            const outputFile = args[3];
-            const uidIndex = args.indexOf('--uid');
-            const customUID = uidIndex !== -1 && uidIndex + 1 < args.length ? args[uidIndex + 1] : null;
+            const diff = tool.getDiff(positional[2], positional[3], { force: args.includes('--force') });
+            if (args.includes('--json')) {
+                console.log(JSON.stringify(diff, null, 2));
+            } else {
+                tool.printDiff(diff);
+            }
 
-            tool.generateFresh(amiiboId, outputFile, customUID);
+        } else if (command === 'info') {
+            const infoFiles = positional.slice(2);
+            const infos = infoFiles.map(file => tool.getInfo(file));
+            if (args.includes('--json')) {
+                console.log(JSON.stringify(infos.length === 1 ? infos[0] : infos, null, 2));
+            } else {
+                infos.forEach(info => tool.printInfo(info));
+            }
 
         } else if (command === 'validate') {
-            if (args.length < 3) {
-                console.error('Error: validate requires at least one bin file');
+            const binFiles = positional.slice(2);
+            if (binFiles.length === 0) {
+                console.error('Error: validate requires at least one file');
                 showHelp();
-                process.exit(1);
+                process.exit(EXIT_USAGE);
             }
 
-            const binFiles = args.slice(2);
-            tool.validateFiles(binFiles);
+            let results;
+            if (args.includes('--json') || args.includes('--junit')) {
+                results = binFiles.map(file => tool.checkFile(file));
+                console.log(args.includes('--junit') ? tool.formatValidationJUnit(results) : tool.formatValidationJSON(results));
+            } else {
+                results = tool.validateFiles(binFiles, { quiet: args.includes('--quiet') }).map(r => r.result);
+            }
+
+            // A file that isn't there or can't be read is a usage error, like for the other commands
+            if (results.some(r => r.unreadable)) {
+                process.exit(EXIT_USAGE);
+            }
+            process.exit(results.every(r => r.valid) ? EXIT_OK : EXIT_INVALID);
 
         } else {
             console.error('Error: Unknown command:', command);
             showHelp();
-            process.exit(1);
+            process.exit(EXIT_USAGE);
         }
 
     } catch (error) {
         console.error('Error:', error.message);
-        process.exit(1);
+        saveRegistry();
+        process.exit(exitCodeFor(error));
     }
 }
 
-module.exports = AmiiboTool;
\ No newline at end of file
+module.exports = AmiiboTool;
+
+// Error types, for instanceof checks by library users
+Object.assign(module.exports, amiiboErrors);
\ No newline at end of file
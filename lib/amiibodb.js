@@ -0,0 +1,83 @@
+// Offline amiibo name database
+//
+// Reads a local copy of the AmiiboAPI database (database/amiibo.json), which
+// maps "0x"-prefixed hex keys to names:
+//   amiibos        0x<16 hex ID>  -> { name, release }
+//   amiibo_series  0x<2 hex>      -> series name (byte 6 of the ID)
+//   game_series    0x<3 hex>      -> game series name (first 3 hex digits)
+//   characters     0x<4 hex>      -> character name (first 4 hex digits)
+//   types          0x<2 hex>      -> figure type name (byte 3 of the ID)
+
+const fs = require('fs');
+
+// Lowercase the keys of one table and drop the "0x" prefix
+function normalizeTable(table) {
+    const result = {};
+    for (const key of Object.keys(table || {})) {
+        result[key.toLowerCase().replace(/^0x/, '')] = table[key];
+    }
+    return result;
+}
+
+class AmiiboDatabase {
+    constructor(data) {
+        if (!data || typeof data.amiibos !== 'object') {
+            throw new Error('Not an AmiiboAPI database (missing "amiibos" table)');
+        }
+
+        this.amiibos = normalizeTable(data.amiibos);
+        this.amiiboSeries = normalizeTable(data.amiibo_series);
+        this.gameSeries = normalizeTable(data.game_series);
+        this.characters = normalizeTable(data.characters);
+        this.types = normalizeTable(data.types);
+    }
+
+    // Load the database from a JSON file
+    static load(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new AmiiboDatabase(data);
+    }
+
+    get size() {
+        return Object.keys(this.amiibos).length;
+    }
+
+    // Resolve an amiibo ID (16 hex chars) to its names, or null when unknown
+    lookup(amiiboId) {
+        const id = amiiboId.toLowerCase().replace(/^0x/, '');
+        const entry = this.amiibos[id];
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            id: id,
+            name: entry.name,
+            amiiboSeries: this.amiiboSeries[id.substr(12, 2)] || null,
+            gameSeries: this.gameSeries[id.substr(0, 3)] || null,
+            character: this.characters[id.substr(0, 4)] || null,
+            type: this.types[id.substr(6, 2)] || null
+        };
+    }
+
+    // All entries in ID order
+    all() {
+        return Object.keys(this.amiibos).sort().map(id => this.lookup(id));
+    }
+
+    // Case-insensitive substring search over name, character, amiibo series and game series
+    search(text) {
+        const needle = text.toLowerCase();
+        return this.all().filter(entry =>
+            [entry.name, entry.character, entry.amiiboSeries, entry.gameSeries]
+                .some(value => value && value.toLowerCase().includes(needle)));
+    }
+
+    // Entries whose name matches exactly (case-insensitive)
+    findByName(name) {
+        const needle = name.toLowerCase();
+        return this.all().filter(entry => entry.name.toLowerCase() === needle);
+    }
+}
+
+module.exports = AmiiboDatabase;
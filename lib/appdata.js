@@ -0,0 +1,150 @@
+// App data plugins
+//
+// The 216-byte app data area belongs to whichever title claimed the figure,
+// identified by the 4-byte app ID. A plugin decodes one title's data into
+// readable fields and offers edits that are safe for that title. Titles
+// without a plugin get a hex view.
+//
+// A plugin is an object with:
+//   name         title name
+//   appIds       app IDs it handles, 8 lowercase hex characters each
+//   decode       (appData, context) -> [{ name, label, value }], empty when the title's
+//                format isn't known; the app data is then shown as hex
+//   edits        { <edit name>: { description, apply(appData, context) -> new app data,
+//                  uninitialize } }, where uninitialize also clears the app data initialized
+//                flag so the title sets its data up again the next time it reads the figure
+//
+// context holds { appId, titleId, appWriteCounter, amiiboId } of the dump, and the
+// figure's character name from the amiibo database (null without one).
+//
+// Clearing a title's claim is not a plugin edit: it is the same for every title and
+// also zeroes the title ID and app ID outside the app data area, so
+// AmiiboTool.editAppData() offers it as 'clear-claim' next to every plugin's edits.
+
+const { ArgumentError } = require('./errors');
+
+const APP_DATA_SIZE = 216;
+
+const plugins = [];
+
+// Register an app data plugin
+function registerPlugin(plugin) {
+    for (const field of ['name', 'appIds', 'decode']) {
+        if (!plugin[field]) {
+            throw new Error(`App data plugin is missing required field: ${field}`);
+        }
+    }
+    for (const appId of plugin.appIds) {
+        if (getPlugin(appId)) {
+            throw new Error(`App data plugin already registered for app ID ${appId}`);
+        }
+    }
+
+    plugins.push(Object.assign({ edits: {} }, plugin, {
+        appIds: plugin.appIds.map(appId => appId.toLowerCase())
+    }));
+    return plugin;
+}
+
+function getPlugin(appId) {
+    const id = appId.toLowerCase();
+    return plugins.find(p => p.appIds.includes(id)) || null;
+}
+
+function listPlugins() {
+    return plugins.slice();
+}
+
+// Hex dump of the app data, 16 bytes per line with offsets
+function hexView(appData) {
+    const lines = [];
+    for (let offset = 0; offset < appData.length; offset += 16) {
+        const bytes = Array.from(appData.slice(offset, offset + 16)).map(b => b.toString(16).padStart(2, '0'));
+        lines.push(`${offset.toString(16).padStart(3, '0')}: ${bytes.join(' ')}`);
+    }
+    return lines;
+}
+
+// Decode app data with the plugin for its app ID, or fall back to a hex view
+function decodeAppData(appData, context) {
+    if (appData.length !== APP_DATA_SIZE) {
+        throw new Error(`Invalid app data size: ${appData.length} bytes (expected ${APP_DATA_SIZE})`);
+    }
+
+    const plugin = getPlugin(context.appId);
+    return {
+        plugin: plugin ? plugin.name : null,
+        fields: plugin ? plugin.decode(Array.from(appData), context) : [],
+        edits: plugin ? Object.keys(plugin.edits) : [],
+        hex: hexView(appData)
+    };
+}
+
+// Run a plugin edit on app data. Returns { appData, uninitialize } with the new app data
+// and whether the app data initialized flag has to be cleared.
+function applyEdit(appData, context, editName) {
+    const plugin = getPlugin(context.appId);
+    if (!plugin) {
+        throw new ArgumentError(`No app data plugin for app ID ${context.appId}`);
+    }
+
+    const edit = plugin.edits[editName];
+    if (!edit) {
+        const names = Object.keys(plugin.edits).join(', ') || 'none';
+        throw new ArgumentError(`${plugin.name} has no edit "${editName}" (available: ${names})`);
+    }
+
+    const result = Array.from(edit.apply(Array.from(appData), context));
+    if (result.length !== APP_DATA_SIZE) {
+        throw new Error(`${plugin.name} edit "${editName}" returned ${result.length} bytes (expected ${APP_DATA_SIZE})`);
+    }
+    return { appData: result, uninitialize: Boolean(edit.uninitialize) };
+}
+
+// Super Smash Bros. Ultimate: the figure holds a Figure Player (FP) that the game
+// trains and saves after every fight. The FP always fights as the figure's own
+// character, so that comes from the amiibo ID. Its training (level, stats, spirits)
+// is stored in the game's own checksummed format, which isn't decoded here; it is
+// reported as present or erased and shown with --hex. Reset erases it and clears
+// the app data initialized flag: like any title, Smash then creates its app data
+// afresh on the next scan, with a new FP.
+registerPlugin({
+    name: 'Super Smash Bros. Ultimate',
+    appIds: ['34f80200'],
+
+    decode(appData, context) {
+        const trained = appData.some(b => b !== 0);
+        return [
+            {
+                name: 'fighter',
+                label: 'Figure Player',
+                value: context.character || `character ${context.amiiboId.slice(0, 4)} (no amiibo database loaded)`
+            },
+            {
+                name: 'trained',
+                label: 'Training data',
+                value: trained ? 'present, in Smash\'s own format (see --hex)' : 'none, Smash sets up a new Figure Player on the next scan'
+            }
+        ];
+    },
+
+    edits: {
+        reset: {
+            description: 'Erase the trained Figure Player; Smash sets up a new one on the next scan',
+            uninitialize: true,
+            apply() {
+                return new Array(APP_DATA_SIZE).fill(0);
+            }
+        }
+    }
+});
+
+module.exports = {
+    APP_DATA_SIZE,
+    registerPlugin,
+    getPlugin,
+    listPlugins,
+    hexView,
+    decodeAppData,
+    applyEdit
+};
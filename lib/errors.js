@@ -0,0 +1,65 @@
+// Error types thrown by the AmiiboTool API
+//
+// Every error carries a stable string code so callers can branch on
+// error.code without matching message text.
+
+class AmiiboError extends Error {
+    constructor(message, code = 'AMIIBO_ERROR') {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// Master keys missing, unreadable or malformed
+class KeyError extends AmiiboError {
+    constructor(message) {
+        super(message, 'BAD_KEYS');
+    }
+}
+
+// Dump doesn't verify with the loaded keys
+class HmacError extends AmiiboError {
+    constructor(message) {
+        super(message, 'HMAC_MISMATCH');
+    }
+}
+
+// Dump or requested output is not 532, 540 or 572 bytes
+class SizeError extends AmiiboError {
+    constructor(message) {
+        super(message, 'BAD_SIZE');
+    }
+}
+
+// Amiibo ID that is malformed or fails the sanity checks
+class AmiiboIdError extends AmiiboError {
+    constructor(message) {
+        super(message, 'BAD_AMIIBO_ID');
+    }
+}
+
+// Custom UID that is malformed
+class UidError extends AmiiboError {
+    constructor(message) {
+        super(message, 'BAD_UID');
+    }
+}
+
+// Command or API argument that names something unknown: an amiibo name, filter,
+// layout placeholder, output format or app data edit
+class ArgumentError extends AmiiboError {
+    constructor(message) {
+        super(message, 'BAD_ARGUMENT');
+    }
+}
+
+module.exports = {
+    AmiiboError,
+    KeyError,
+    HmacError,
+    SizeError,
+    AmiiboIdError,
+    UidError,
+    ArgumentError
+};
@@ -0,0 +1,361 @@
+// Dump format registry
+//
+// Every format has a detector, a parser and a writer. Input files are matched
+// by sniffing their content; the extension is only used to pick an output
+// format when none is given explicitly.
+
+const { ArgumentError } = require('./errors');
+
+const NTAG215_VERSION = [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x11, 0x03];
+
+// Proxmark3 mfu dumps can carry a 56-byte header (version, TBO, signature, counters)
+const PM3_HEADER_SIZE = 56;
+const PM3_SIGNATURE_OFFSET = 12;
+
+// Page data is 532 (no PWD/PACK pages) or 540 bytes; the 32-byte NXP
+// originality signature is carried after it as bytes 540-571 when known
+const SIGNATURE_OFFSET = 540;
+const SIGNATURE_SIZE = 32;
+
+const formats = [];
+
+// Helpers shared by the text formats
+function toHex(bytes, separator = '') {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(separator);
+}
+
+function fromHex(hex) {
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return bytes;
+}
+
+function asText(buffer) {
+    return Buffer.from(buffer).toString('utf8');
+}
+
+// Signature carried by a 572-byte dump, or all zeros
+function getSignature(bytes) {
+    if (bytes.length === SIGNATURE_OFFSET + SIGNATURE_SIZE) {
+        return bytes.slice(SIGNATURE_OFFSET);
+    }
+    return new Array(SIGNATURE_SIZE).fill(0);
+}
+
+// Append a signature to full page data unless it is blank
+function withSignature(pages, signature) {
+    if (pages.length === SIGNATURE_OFFSET && signature.length === SIGNATURE_SIZE && signature.some(b => b !== 0)) {
+        return pages.concat(signature);
+    }
+    return pages;
+}
+
+// Strip a Proxmark3 mfu header when it is present in front of the page data,
+// keeping the signature it carries
+function stripPM3Header(bytes) {
+    const pageBytes = bytes.length - PM3_HEADER_SIZE;
+    if ((pageBytes === 532 || pageBytes === 540) &&
+        NTAG215_VERSION.every((b, i) => bytes[i] === b)) {
+        const signature = bytes.slice(PM3_SIGNATURE_OFFSET, PM3_SIGNATURE_OFFSET + SIGNATURE_SIZE);
+        return withSignature(bytes.slice(PM3_HEADER_SIZE), signature);
+    }
+    return bytes;
+}
+
+// Register a dump format. Formats marked as fallback are tried last; formats
+// with keepsSignature false have nowhere to store the signature of a 572-byte dump.
+function registerFormat(format) {
+    for (const field of ['name', 'detect', 'parse', 'write']) {
+        if (!format[field]) {
+            throw new Error(`Dump format is missing required field: ${field}`);
+        }
+    }
+    if (getFormat(format.name)) {
+        throw new Error(`Dump format already registered: ${format.name}`);
+    }
+
+    formats.push(Object.assign({ description: format.name, extensions: [], fallback: false, keepsSignature: true }, format));
+    return format;
+}
+
+function getFormat(name) {
+    return formats.find(f => f.name === name.toLowerCase()) || null;
+}
+
+function listFormats() {
+    return formats.slice();
+}
+
+// Pick a format by sniffing the content, most specific first
+function detectFormat(buffer) {
+    const ordered = formats.filter(f => !f.fallback).concat(formats.filter(f => f.fallback));
+    for (const format of ordered) {
+        if (format.detect(buffer)) {
+            return format;
+        }
+    }
+    throw new Error('Unrecognised dump format');
+}
+
+// Pick an output format from the file extension, raw binary otherwise
+function formatForPath(filePath) {
+    const ext = '.' + filePath.toLowerCase().split('.').pop();
+    return formats.find(f => f.extensions.includes(ext)) || getFormat('bin');
+}
+
+// Parse file content into raw tag bytes
+function parseDump(buffer) {
+    const format = detectFormat(buffer);
+    try {
+        return { format: format.name, data: Buffer.from(format.parse(buffer)) };
+    } catch (error) {
+        throw new Error(`Failed to parse ${format.description}: ${error.message}`);
+    }
+}
+
+// Serialize raw tag bytes into the named format
+function serializeDump(data, formatName) {
+    const format = getFormat(formatName);
+    if (!format) {
+        const names = formats.map(f => f.name).join(', ');
+        throw new ArgumentError(`Unknown output format: ${formatName} (expected one of ${names})`);
+    }
+    return Buffer.from(format.write(Array.from(data)));
+}
+
+// Flipper Zero NFC device file
+registerFormat({
+    name: 'nfc',
+    description: 'Flipper Zero NFC device file',
+    extensions: ['.nfc'],
+
+    detect(buffer) {
+        return asText(buffer.slice(0, 64)).split('\n')[0].includes('Flipper NFC device');
+    },
+
+    parse(buffer) {
+        const lines = asText(buffer).split('\n');
+
+        // Extract page data
+        const pages = [];
+        let signature = [];
+        for (const line of lines) {
+            if (line.startsWith('Signature: ')) {
+                signature = fromHex(line.slice(11).replace(/\s/g, ''));
+            } else if (line.startsWith('Page ')) {
+                // Parse "Page X: XX XX XX XX" format
+                const match = line.match(/Page \d+: ([0-9A-F]{2}) ([0-9A-F]{2}) ([0-9A-F]{2}) ([0-9A-F]{2})/i);
+                if (match) {
+                    for (let i = 1; i <= 4; i++) {
+                        pages.push(parseInt(match[i], 16));
+                    }
+                }
+            }
+        }
+
+        // NTAG215 should have 540 bytes (135 pages * 4 bytes), 532 if PWD/PACK were not read
+        if (pages.length !== 540 && pages.length !== 532) {
+            throw new Error(`Invalid NFC data size: ${pages.length} bytes (expected 532 or 540)`);
+        }
+
+        return withSignature(pages, signature);
+    },
+
+    write(bytes) {
+        if (bytes.length !== 532 && bytes.length !== 540 && bytes.length !== 572) {
+            throw new Error(`Invalid NFC data size: ${bytes.length} bytes (expected 532, 540 or 572)`);
+        }
+
+        const pageCount = Math.min(bytes.length, 540) / 4;
+        const hex = arr => toHex(arr, ' ').toUpperCase();
+        const uid7 = [bytes[0], bytes[1], bytes[2], bytes[4], bytes[5], bytes[6], bytes[7]];
+
+        const lines = [
+            'Filetype: Flipper NFC device',
+            'Version: 4',
+            '# Device type can be ISO14443-3A, ISO14443-3B, ISO14443-4A, ISO14443-4B, ISO15693-3, FeliCa, NTAG/Ultralight, Mifare Classic, Mifare DESFire, SLIX, ST25TB',
+            'Device type: NTAG/Ultralight',
+            '# UID is common for all formats',
+            `UID: ${hex(uid7)}`,
+            '# ISO14443-3A specific data',
+            'ATQA: 00 44',
+            'SAK: 00',
+            '# NTAG/Ultralight specific data',
+            'Data format version: 2',
+            'NTAG/Ultralight type: NTAG215',
+            `Signature: ${hex(getSignature(bytes))}`,
+            `Mifare version: ${hex(NTAG215_VERSION)}`,
+            'Counter 0: 0',
+            'Tearing 0: 00',
+            'Counter 1: 0',
+            'Tearing 1: 00',
+            'Counter 2: 0',
+            'Tearing 2: 00',
+            'Pages total: 135',
+            `Pages read: ${pageCount}`
+        ];
+
+        for (let page = 0; page < pageCount; page++) {
+            lines.push(`Page ${page}: ${hex(bytes.slice(page * 4, page * 4 + 4))}`);
+        }
+
+        lines.push('Failed authentication attempts: 0');
+
+        return lines.join('\n') + '\n';
+    }
+});
+
+// Proxmark3 JSON dump (hf mfu dump)
+registerFormat({
+    name: 'json',
+    description: 'Proxmark3 JSON dump',
+    extensions: ['.json'],
+
+    detect(buffer) {
+        const text = asText(buffer).trim();
+        if (!text.startsWith('{')) {
+            return false;
+        }
+        try {
+            const json = JSON.parse(text);
+            return typeof json.blocks === 'object' && json.blocks !== null;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    parse(buffer) {
+        const json = JSON.parse(asText(buffer));
+        const blockNumbers = Object.keys(json.blocks).map(Number).sort((a, b) => a - b);
+
+        const bytes = [];
+        blockNumbers.forEach((block, i) => {
+            const hex = String(json.blocks[block]).replace(/\s/g, '');
+            if (block !== i || !/^[0-9a-f]{8}$/i.test(hex)) {
+                throw new Error(`Invalid block ${block}: ${json.blocks[block]}`);
+            }
+            bytes.push(...fromHex(hex));
+        });
+
+        const signature = json.Card && json.Card.Signature ? fromHex(json.Card.Signature.replace(/\s/g, '')) : [];
+        return withSignature(bytes, signature);
+    },
+
+    write(bytes) {
+        const uid7 = [bytes[0], bytes[1], bytes[2], bytes[4], bytes[5], bytes[6], bytes[7]];
+        const blocks = {};
+        for (let page = 0; page * 4 < Math.min(bytes.length, 540); page++) {
+            blocks[page] = toHex(bytes.slice(page * 4, page * 4 + 4)).toUpperCase();
+        }
+
+        const json = {
+            Created: 'proxmark3',
+            FileType: 'mfu',
+            Card: {
+                UID: toHex(uid7).toUpperCase(),
+                Version: toHex(NTAG215_VERSION).toUpperCase(),
+                TBO_0: '0000',
+                TBO_1: '00',
+                Signature: toHex(getSignature(bytes)).toUpperCase(),
+                Counter0: '000000',
+                Tearing0: '00',
+                Counter1: '000000',
+                Tearing1: '00',
+                Counter2: '000000',
+                Tearing2: '00'
+            },
+            blocks: blocks
+        };
+
+        return JSON.stringify(json, null, 2) + '\n';
+    }
+});
+
+// Proxmark3 emulator file: one 4-byte page per line. Only tag memory is written,
+// the signature of a 572-byte dump is not a page and is left out.
+registerFormat({
+    name: 'eml',
+    description: 'Proxmark3 .eml dump',
+    extensions: ['.eml'],
+    keepsSignature: false,
+
+    detect(buffer) {
+        const lines = asText(buffer).split(/\r?\n/).filter(line => line.trim() !== '');
+        return lines.length > 0 && lines.every(line => /^[0-9a-f]{8}$/i.test(line.trim()));
+    },
+
+    parse(buffer) {
+        const lines = asText(buffer).split(/\r?\n/).filter(line => line.trim() !== '');
+        const bytes = [];
+        for (const line of lines) {
+            bytes.push(...fromHex(line.trim()));
+        }
+        return stripPM3Header(bytes);
+    },
+
+    write(bytes) {
+        const pages = bytes.slice(0, SIGNATURE_OFFSET);
+        const lines = [];
+        for (let page = 0; page * 4 < pages.length; page++) {
+            lines.push(toHex(pages.slice(page * 4, page * 4 + 4)).toUpperCase());
+        }
+        return lines.join('\n') + '\n';
+    }
+});
+
+// Plain hex text, any whitespace layout
+registerFormat({
+    name: 'hex',
+    description: 'hex text dump',
+    extensions: ['.hex', '.txt'],
+
+    detect(buffer) {
+        const text = asText(buffer);
+        const hex = text.replace(/\s/g, '');
+        return hex.length > 0 && hex.length % 2 === 0 && /^[0-9a-f\s]+$/i.test(text);
+    },
+
+    parse(buffer) {
+        return fromHex(asText(buffer).replace(/\s/g, ''));
+    },
+
+    write(bytes) {
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            lines.push(toHex(bytes.slice(offset, offset + 16), ' '));
+        }
+        return lines.join('\n') + '\n';
+    }
+});
+
+// Raw binary (amiitool, TagMo, Proxmark3 .bin), used when nothing else matches
+registerFormat({
+    name: 'bin',
+    description: 'raw binary dump',
+    extensions: ['.bin'],
+    fallback: true,
+
+    detect() {
+        return true;
+    },
+
+    parse(buffer) {
+        return stripPM3Header(Array.from(buffer));
+    },
+
+    write(bytes) {
+        return Buffer.from(bytes);
+    }
+});
+
+module.exports = {
+    registerFormat,
+    getFormat,
+    listFormats,
+    detectFormat,
+    formatForPath,
+    parseDump,
+    serializeDump
+};
@@ -0,0 +1,202 @@
+// Master key files
+//
+// The amiibo master keys are two 80-byte keys, shipped either as one 160-byte
+// key_retail.bin or as two files:
+//   unfixed-info.bin   data key, type string "unfixed infos", 14 magic bytes
+//   locked-secret.bin  tag key, type string "locked secret", 16 magic bytes
+// key_retail.bin is unfixed-info followed by locked-secret. Each key is:
+//   0   HMAC key (16)
+//   16  type string (14, NUL terminated)
+//   30  RFU
+//   31  magic bytes size
+//   32  magic bytes (16)
+//   48  XOR pad (32)
+//
+// A key source is a combined key file, the two split files (as an array or
+// "a,b", in either order) or a folder holding either.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_SIZE = 80;
+const COMBINED_FILE = 'key_retail.bin';
+const CONFIG_FILE = '.amiibotool.json';
+const ENV_VAR = 'AMIIBO_KEYS';
+
+const KEY_TYPES = {
+    'unfixed-info': { typeString: 'unfixed infos', magicBytesSize: 14, fileName: 'unfixed-info.bin' },
+    'locked-secret': { typeString: 'locked secret', magicBytesSize: 16, fileName: 'locked-secret.bin' }
+};
+
+// Short SHA-256 fingerprint, for telling key files apart without showing them
+function fingerprint(bytes) {
+    return crypto.createHash('sha256').update(Buffer.from(bytes)).digest('hex').slice(0, 16);
+}
+
+// Type, fingerprint and problems of one 80-byte key
+function describeKey(bytes) {
+    const data = Buffer.from(bytes);
+    const problems = [];
+    const typeBytes = data.slice(16, 30);
+    const end = typeBytes.indexOf(0);
+    const typeString = typeBytes.slice(0, end === -1 ? typeBytes.length : end).toString('latin1');
+    const type = Object.keys(KEY_TYPES).find(name => KEY_TYPES[name].typeString === typeString) || null;
+
+    if (data.length !== KEY_SIZE) {
+        problems.push(`key is ${data.length} bytes, expected ${KEY_SIZE}`);
+    }
+    if (!type) {
+        problems.push(`type string ${JSON.stringify(typeString)} is neither "unfixed infos" nor "locked secret"`);
+    } else if (data[31] !== KEY_TYPES[type].magicBytesSize) {
+        problems.push(`${type} key has ${data[31]} magic bytes, expected ${KEY_TYPES[type].magicBytesSize}`);
+    }
+
+    return {
+        type: type,
+        size: data.length,
+        fingerprint: fingerprint(data),
+        typeString: typeString,
+        problems: problems
+    };
+}
+
+// Problems of combined 160-byte key data, empty when it can be used
+function checkCombined(bytes) {
+    const data = Buffer.from(bytes);
+
+    if (data.length === KEY_SIZE) {
+        const half = describeKey(data);
+        const other = half.type === 'unfixed-info' ? 'locked-secret' : 'unfixed-info';
+        return [`Got a single ${KEY_SIZE}-byte key${half.type ? ` (${half.type})` : ''}, the ${other} half is missing: ` +
+            `pass both files or the 160-byte ${COMBINED_FILE}`];
+    }
+    if (data.length !== KEY_SIZE * 2) {
+        return [`Master keys must be 160 bytes (unfixed-info followed by locked-secret), got ${data.length} bytes`];
+    }
+
+    const first = describeKey(data.slice(0, KEY_SIZE));
+    const second = describeKey(data.slice(KEY_SIZE));
+    if (first.type === 'locked-secret' && second.type === 'unfixed-info') {
+        return ['The key halves are swapped: locked-secret comes first, but the keys must be unfixed-info followed by locked-secret'];
+    }
+    if (first.type && first.type === second.type) {
+        return [`Both key halves are ${first.type} keys, the other one is missing`];
+    }
+    return first.problems.map(problem => `First half: ${problem}`)
+        .concat(second.problems.map(problem => `Second half: ${problem}`));
+}
+
+// Put two key halves in the right order, whichever way round they are given
+function combine(a, b) {
+    const first = describeKey(a);
+    return first.type === 'locked-secret' ? Buffer.concat([Buffer.from(b), Buffer.from(a)]) : Buffer.concat([Buffer.from(a), Buffer.from(b)]);
+}
+
+// The key files of a key source: [combined file] or [one half, other half]
+function resolveKeyFiles(source) {
+    const files = Array.isArray(source) ? source : String(source).split(',').map(part => part.trim());
+
+    if (files.length === 1 && fs.existsSync(files[0]) && fs.statSync(files[0]).isDirectory()) {
+        const dir = files[0];
+        const split = Object.values(KEY_TYPES).map(keyType => path.join(dir, keyType.fileName));
+        if (fs.existsSync(path.join(dir, COMBINED_FILE))) {
+            return [path.join(dir, COMBINED_FILE)];
+        }
+        if (split.every(file => fs.existsSync(file))) {
+            return split;
+        }
+        throw new Error(`No key files in ${dir}: expected ${COMBINED_FILE}, or unfixed-info.bin and locked-secret.bin`);
+    }
+    if (files.length > 2) {
+        throw new Error(`A key source is one combined key file or two split key files, got ${files.length} files`);
+    }
+    return files;
+}
+
+// Read a key source. Returns { buffer, files } with the 160-byte key data;
+// split files are put in the right order. The key data itself is checked by checkCombined().
+function readKeySource(source) {
+    const files = resolveKeyFiles(source);
+    for (const file of files) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Key file not found: ${file}`);
+        }
+    }
+
+    const contents = files.map(file => fs.readFileSync(file));
+    if (contents.length === 1) {
+        return { buffer: contents[0], files: files };
+    }
+
+    contents.forEach((content, i) => {
+        if (content.length !== KEY_SIZE) {
+            const hint = content.length === KEY_SIZE * 2 ? `, it looks like a combined ${COMBINED_FILE}; pass it on its own` : '';
+            throw new Error(`Split key file ${files[i]} is ${content.length} bytes, expected ${KEY_SIZE}${hint}`);
+        }
+    });
+    return { buffer: combine(contents[0], contents[1]), files: files };
+}
+
+// Key files in a folder, as a key source, or null
+function keyFilesIn(dir) {
+    if (fs.existsSync(path.join(dir, COMBINED_FILE))) {
+        return path.join(dir, COMBINED_FILE);
+    }
+    const split = Object.values(KEY_TYPES).map(keyType => path.join(dir, keyType.fileName));
+    return split.every(file => fs.existsSync(file)) ? split : null;
+}
+
+// Find a key source when none is given: the AMIIBO_KEYS environment variable, then "keys"
+// in .amiibotool.json in the working folder or the home folder (relative to that file),
+// then key files in the working folder or the given fallback folders.
+// options: { env, cwd, home, dirs }. Returns { source, origin } or null.
+function findKeySource(options = {}) {
+    const env = options.env || process.env;
+    const cwd = options.cwd || process.cwd();
+    const home = options.home || os.homedir();
+
+    if (env[ENV_VAR]) {
+        return { source: env[ENV_VAR], origin: `${ENV_VAR} environment variable` };
+    }
+
+    for (const dir of [cwd, home]) {
+        const configPath = path.join(dir, CONFIG_FILE);
+        if (!fs.existsSync(configPath)) {
+            continue;
+        }
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Can't read ${configPath}: ${error.message}`);
+        }
+        if (config.keys) {
+            const entries = Array.isArray(config.keys) ? config.keys : [config.keys];
+            return { source: entries.map(entry => path.resolve(dir, entry)), origin: configPath };
+        }
+    }
+
+    for (const dir of [cwd].concat(options.dirs || [])) {
+        const source = keyFilesIn(dir);
+        if (source) {
+            return { source: source, origin: `key files in ${dir}` };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    KEY_SIZE,
+    ENV_VAR,
+    CONFIG_FILE,
+    KEY_TYPES,
+    fingerprint,
+    describeKey,
+    checkCombined,
+    combine,
+    resolveKeyFiles,
+    readKeySource,
+    findKeySource
+};
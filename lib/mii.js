@@ -0,0 +1,65 @@
+// Owner Mii data
+//
+// The owner Mii of an amiibo is stored as 3DS/Wii U Mii store data (FFSD/CFSD):
+// 92 bytes of Mii data, 2 padding bytes and a big-endian CRC-16/XMODEM over
+// the first 94 bytes. Names are UTF-16LE, 10 characters, NUL padded:
+//   0x1A  Mii name
+//   0x48  author (creator) name
+
+const MII_SIZE = 96;
+const MII_DATA_SIZE = 92;
+const MII_CRC_OFFSET = 94;
+const MII_NAME_OFFSET = 0x1A;
+const MII_AUTHOR_OFFSET = 0x48;
+const MII_NAME_SIZE = 20;
+
+// CRC-16/XMODEM (polynomial 0x1021, initial value 0)
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+// Decode a NUL-terminated UTF-16LE name
+function decodeName(bytes) {
+    const text = Buffer.from(bytes).toString('utf16le');
+    const end = text.indexOf('\0');
+    return end === -1 ? text : text.slice(0, end);
+}
+
+// Names and CRC state of 96-byte Mii store data
+function decodeMii(bytes) {
+    const data = Array.from(bytes);
+    const storedCrc = (data[MII_CRC_OFFSET] << 8) | data[MII_CRC_OFFSET + 1];
+
+    return {
+        name: decodeName(data.slice(MII_NAME_OFFSET, MII_NAME_OFFSET + MII_NAME_SIZE)),
+        author: decodeName(data.slice(MII_AUTHOR_OFFSET, MII_AUTHOR_OFFSET + MII_NAME_SIZE)),
+        crcValid: storedCrc === crc16(data.slice(0, MII_CRC_OFFSET)),
+        empty: data.every(b => b === 0)
+    };
+}
+
+// Turn a Mii file into 96-byte store data with a correct CRC.
+// Accepts 96-byte store data (FFSD/CFSD) or 92-byte Mii data without padding and CRC.
+function toStoreData(bytes) {
+    if (bytes.length !== MII_SIZE && bytes.length !== MII_DATA_SIZE) {
+        throw new Error(`Invalid Mii size: ${bytes.length} bytes (expected ${MII_SIZE} or ${MII_DATA_SIZE})`);
+    }
+
+    const data = bytes.length === MII_SIZE ? Array.from(bytes).slice(0, MII_CRC_OFFSET) : Array.from(bytes).concat([0, 0]);
+    const crc = crc16(data);
+    return data.concat([crc >> 8, crc & 0xFF]);
+}
+
+module.exports = {
+    MII_SIZE,
+    crc16,
+    decodeMii,
+    toStoreData
+};
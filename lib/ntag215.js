@@ -0,0 +1,323 @@
+// NTAG215 tag model
+//
+// An in-process model of the NTAG215 chip, for testing dumps against the
+// commands a reader sends without writing a real tag. It answers GET_VERSION,
+// READ, FAST_READ, WRITE, PWD_AUTH and READ_SIG the way the chip does
+// (NXP NTAG213/215/216 datasheet):
+//   - pages 0-1 are read-only; the lock bytes in page 2 and the CC page (3) are
+//     one-time programmable, so written bits are ORed in
+//   - static lock bits lock pages 3-15 one by one, dynamic lock bits (page 130)
+//     lock pages 16-129 in blocks of 16, and block-lock bits freeze lock bits
+//   - pages from AUTH0 on need PWD_AUTH before a write, and before a read too
+//     when PROT is set in ACCESS; CFGLCK in ACCESS locks CFG0 and CFG1
+//   - PWD and PACK always read as zeros, AUTHLIM limits failed PWD_AUTH attempts
+//   - every NAK sends the tag back to idle, which drops the authentication
+//
+// transceive(command) takes the command bytes (without CRC) and returns the
+// response: data bytes, [ACK] or a single NAK code.
+
+const PAGE_SIZE = 4;
+const PAGE_COUNT = 135;
+const MEMORY_SIZE = PAGE_SIZE * PAGE_COUNT;
+const SIGNATURE_SIZE = 32;
+
+const VERSION = [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x11, 0x03];
+
+const COMMANDS = {
+    GET_VERSION: 0x60,
+    READ: 0x30,
+    FAST_READ: 0x3a,
+    WRITE: 0xa2,
+    PWD_AUTH: 0x1b,
+    READ_SIG: 0x3c
+};
+
+const ACK = 0x0a;
+const NAK_INVALID_ARGUMENT = 0x00;
+const NAK_AUTH_LIMIT = 0x04;
+
+const LOCK_PAGE = 2;
+const CC_PAGE = 3;
+const DYNAMIC_LOCK_PAGE = 130;
+const CFG0_PAGE = 131;
+const CFG1_PAGE = 132;
+const PWD_PAGE = 133;
+const PACK_PAGE = 134;
+
+// ACCESS bits in CFG1
+const ACCESS_PROT = 0x80;
+const ACCESS_CFGLCK = 0x40;
+const ACCESS_AUTHLIM = 0x07;
+
+// PWD and PACK pages of a blank NTAG215, for 532-byte dumps that lack them
+const FACTORY_PWD_PACK = [0xff, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00, 0x00];
+
+// Factory contents of a blank NTAG215 besides the UID: internal byte, NDEF capability
+// container, and pages 130-132 with no dynamic locks and AUTH0 = 0xFF (no protection)
+const FACTORY_INTERNAL = 0x48;
+const FACTORY_CC = [0xe1, 0x10, 0x3e, 0x00];
+const FACTORY_CONFIG = [
+    0x00, 0x00, 0x00, 0xbd,
+    0x04, 0x00, 0x00, 0xff,
+    0x00, 0x05, 0x00, 0x00
+];
+
+// A one-byte response other than ACK
+function isNak(response) {
+    return response.length === 1 && response[0] !== ACK;
+}
+
+function isAck(response) {
+    return response.length === 1 && response[0] === ACK;
+}
+
+class Ntag215 {
+    // data: a 532-, 540- or 572-byte dump; the 32 bytes after the pages are the signature.
+    // A 532-byte dump has no PWD/PACK pages and gets the factory ones; pad it first when
+    // the tag should hold the amiibo PWD.
+    constructor(data) {
+        const bytes = Array.from(data);
+        if (bytes.length !== 532 && bytes.length !== MEMORY_SIZE && bytes.length !== MEMORY_SIZE + SIGNATURE_SIZE) {
+            throw new Error(`Invalid dump size: ${bytes.length} bytes (expected 532, 540 or 572)`);
+        }
+
+        this.memory = bytes.slice(0, MEMORY_SIZE);
+        if (this.memory.length < MEMORY_SIZE) {
+            this.memory = this.memory.concat(FACTORY_PWD_PACK);
+        }
+        this.signature = bytes.length > MEMORY_SIZE ? bytes.slice(MEMORY_SIZE) : new Array(SIGNATURE_SIZE).fill(0);
+        this.authenticated = false;
+        this.failedAuthCount = 0;
+    }
+
+    // A blank NTAG215 as it leaves the factory, with a 7-byte UID
+    static blank(uid) {
+        const memory = new Array(MEMORY_SIZE).fill(0);
+        const bcc0 = 0x88 ^ uid[0] ^ uid[1] ^ uid[2];
+        const bcc1 = uid[3] ^ uid[4] ^ uid[5] ^ uid[6];
+
+        memory.splice(0, 12, uid[0], uid[1], uid[2], bcc0, uid[3], uid[4], uid[5], uid[6], bcc1, FACTORY_INTERNAL, 0x00, 0x00);
+        memory.splice(CC_PAGE * PAGE_SIZE, PAGE_SIZE, ...FACTORY_CC);
+        memory.splice(DYNAMIC_LOCK_PAGE * PAGE_SIZE, FACTORY_CONFIG.length + FACTORY_PWD_PACK.length, ...FACTORY_CONFIG, ...FACTORY_PWD_PACK);
+        return new Ntag215(memory);
+    }
+
+    // Power cycle: the tag forgets its authentication, memory and the failed attempt count stay
+    reset() {
+        this.authenticated = false;
+    }
+
+    page(number) {
+        return this.memory.slice(number * PAGE_SIZE, (number + 1) * PAGE_SIZE);
+    }
+
+    get auth0() {
+        return this.memory[CFG0_PAGE * PAGE_SIZE + 3];
+    }
+
+    get access() {
+        return this.memory[CFG1_PAGE * PAGE_SIZE];
+    }
+
+    get pack() {
+        return this.page(PACK_PAGE).slice(0, 2);
+    }
+
+    // Memory as a 540-byte dump, plus the signature when the tag has one
+    toBuffer() {
+        return Buffer.from(this.signature.some(b => b !== 0) ? this.memory.concat(this.signature) : this.memory);
+    }
+
+    // Page access needs PWD_AUTH first (reads only when PROT is set)
+    isProtected(page, forWrite) {
+        return !this.authenticated && page >= this.auth0 && (forWrite || (this.access & ACCESS_PROT) !== 0);
+    }
+
+    // Whether the lock bits (or CFGLCK) make a page read-only
+    isLocked(page) {
+        const staticLock = this.memory.slice(LOCK_PAGE * PAGE_SIZE + 2, LOCK_PAGE * PAGE_SIZE + 4);
+        const dynamicLock = this.memory[DYNAMIC_LOCK_PAGE * PAGE_SIZE];
+
+        if (page < LOCK_PAGE) {
+            return true;
+        }
+        if (page === CC_PAGE) {
+            return (staticLock[0] & 0x08) !== 0;
+        }
+        if (page >= 4 && page <= 7) {
+            return (staticLock[0] & (0x10 << (page - 4))) !== 0;
+        }
+        if (page >= 8 && page <= 15) {
+            return (staticLock[1] & (1 << (page - 8))) !== 0;
+        }
+        if (page >= 16 && page < DYNAMIC_LOCK_PAGE) {
+            return (dynamicLock & (1 << Math.floor((page - 16) / 16))) !== 0;
+        }
+        if (page === CFG0_PAGE || page === CFG1_PAGE) {
+            return (this.access & ACCESS_CFGLCK) !== 0;
+        }
+        return false;
+    }
+
+    // Page contents as a reader sees them: PWD and PACK read as zeros
+    readPage(page) {
+        return page === PWD_PAGE || page === PACK_PAGE ? [0, 0, 0, 0] : this.page(page);
+    }
+
+    // Answer a command; any NAK returns the tag to idle
+    transceive(command) {
+        const response = this.execute(Array.from(command));
+        if (isNak(response)) {
+            this.authenticated = false;
+        }
+        return response;
+    }
+
+    execute(command) {
+        const [code, ...args] = command;
+
+        switch (code) {
+            case COMMANDS.GET_VERSION:
+                return args.length === 0 ? VERSION.slice() : [NAK_INVALID_ARGUMENT];
+
+            case COMMANDS.READ: {
+                const [start] = args;
+                if (args.length !== 1 || start >= PAGE_COUNT || this.isProtected(start, false)) {
+                    return [NAK_INVALID_ARGUMENT];
+                }
+                // Four pages, rolling over to page 0 at the end of memory or of the readable area
+                const data = [];
+                for (let i = 0, page = start; i < 4; i++) {
+                    data.push(...this.readPage(page));
+                    page = page + 1 < PAGE_COUNT && !this.isProtected(page + 1, false) ? page + 1 : 0;
+                }
+                return data;
+            }
+
+            case COMMANDS.FAST_READ: {
+                const [start, end] = args;
+                if (args.length !== 2 || start > end || end >= PAGE_COUNT) {
+                    return [NAK_INVALID_ARGUMENT];
+                }
+                const data = [];
+                for (let page = start; page <= end; page++) {
+                    if (this.isProtected(page, false)) {
+                        return [NAK_INVALID_ARGUMENT];
+                    }
+                    data.push(...this.readPage(page));
+                }
+                return data;
+            }
+
+            case COMMANDS.WRITE: {
+                const [page, ...data] = args;
+                if (data.length !== PAGE_SIZE || page >= PAGE_COUNT || this.isProtected(page, true) || this.isLocked(page)) {
+                    return [NAK_INVALID_ARGUMENT];
+                }
+                this.writePage(page, data);
+                return [ACK];
+            }
+
+            case COMMANDS.PWD_AUTH: {
+                const authLimit = this.access & ACCESS_AUTHLIM;
+                if (args.length !== 4) {
+                    return [NAK_INVALID_ARGUMENT];
+                }
+                if (authLimit !== 0 && this.failedAuthCount >= (1 << authLimit)) {
+                    return [NAK_AUTH_LIMIT];
+                }
+                if (args.some((b, i) => b !== this.memory[PWD_PAGE * PAGE_SIZE + i])) {
+                    this.failedAuthCount++;
+                    return [NAK_INVALID_ARGUMENT];
+                }
+                this.failedAuthCount = 0;
+                this.authenticated = true;
+                return this.pack;
+            }
+
+            case COMMANDS.READ_SIG:
+                return args.length === 1 && args[0] === 0x00 ? this.signature.slice() : [NAK_INVALID_ARGUMENT];
+
+            default:
+                return [NAK_INVALID_ARGUMENT];
+        }
+    }
+
+    // Store an accepted page write, applying the one-time programmable pages
+    writePage(page, data) {
+        const offset = page * PAGE_SIZE;
+
+        if (page === LOCK_PAGE) {
+            // Only the lock bytes are written; block-lock bits freeze the lock bits they cover
+            const [lock0, lock1] = this.memory.slice(offset + 2, offset + 4);
+            const frozen0 = (lock0 & 0x01 ? 0x08 : 0) | (lock0 & 0x02 ? 0xf0 : 0);
+            const frozen1 = (lock0 & 0x02 ? 0x03 : 0) | (lock0 & 0x04 ? 0xfc : 0);
+            this.memory[offset + 2] = lock0 | (data[2] & ~frozen0);
+            this.memory[offset + 3] = lock1 | (data[3] & ~frozen1);
+        } else if (page === CC_PAGE) {
+            for (let i = 0; i < PAGE_SIZE; i++) {
+                this.memory[offset + i] |= data[i];
+            }
+        } else if (page === DYNAMIC_LOCK_PAGE) {
+            // Each block-lock bit in byte 2 freezes two lock bits of byte 0; byte 1 is unused
+            // on NTAG215 and byte 3 is RFUI
+            const blockLock = this.memory[offset + 2];
+            let frozen = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                if (blockLock & (1 << bit)) {
+                    frozen |= 0x03 << (bit * 2);
+                }
+            }
+            this.memory[offset] |= data[0] & ~frozen;
+            this.memory[offset + 2] |= data[2] & 0x0f;
+        } else {
+            for (let i = 0; i < PAGE_SIZE; i++) {
+                this.memory[offset + i] = data[i];
+            }
+        }
+    }
+
+    getVersion() {
+        return this.transceive([COMMANDS.GET_VERSION]);
+    }
+
+    read(page) {
+        return this.transceive([COMMANDS.READ, page]);
+    }
+
+    fastRead(start, end) {
+        return this.transceive([COMMANDS.FAST_READ, start, end]);
+    }
+
+    write(page, data) {
+        return this.transceive([COMMANDS.WRITE, page].concat(Array.from(data)));
+    }
+
+    pwdAuth(pwd) {
+        return this.transceive([COMMANDS.PWD_AUTH].concat(Array.from(pwd)));
+    }
+
+    readSig() {
+        return this.transceive([COMMANDS.READ_SIG, 0x00]);
+    }
+}
+
+module.exports = {
+    PAGE_SIZE,
+    PAGE_COUNT,
+    LOCK_PAGE,
+    CC_PAGE,
+    DYNAMIC_LOCK_PAGE,
+    CFG0_PAGE,
+    CFG1_PAGE,
+    PWD_PAGE,
+    PACK_PAGE,
+    VERSION,
+    COMMANDS,
+    ACK,
+    NAK_INVALID_ARGUMENT,
+    NAK_AUTH_LIMIT,
+    isAck,
+    isNak,
+    Ntag215
+};
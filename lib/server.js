@@ -0,0 +1,291 @@
+// Local HTTP API and browser UI
+//
+// Serves one AmiiboTool, with its keys loaded once at startup, to the page in
+// web/ and to scripts:
+//   GET  /                     browser UI
+//   GET  /api/status           keys, database, limits and formats
+//   POST /api/validate         dump in the body -> validation JSON
+//   POST /api/info             dump in the body -> decoded data JSON
+//   POST /api/change-uid       dump in the body -> dump with a new UID (download)
+//   POST /api/generate-fresh   no body -> fresh dump (download)
+//
+// Dumps are sent as the raw file in the request body, in any supported format;
+// query parameters carry the options (uid, format, size, id, name, force).
+// Uploads above the size limit are refused. Nothing is written to disk unless
+// a save directory is given, in which case every generated dump is also kept there.
+//
+// Only requests addressed to the server itself are answered: the Host header must
+// name the address it listens on (or localhost on loopback) and its port, and a
+// browser Origin must be the server's own. That keeps web pages, also ones that
+// rebind their DNS name to this address, away from the keys.
+
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const formats = require('./formats');
+const { AmiiboError } = require('./errors');
+
+const DEFAULT_MAX_UPLOAD = 64 * 1024;
+const WEB_ROOT = path.join(__dirname, '..', 'web');
+const LOOPBACK_NAMES = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_ADDRESSES = ['0.0.0.0', '::'];
+
+// Quiet logger for the core methods; requests are logged once by the server
+const QUIET = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+// Error with the HTTP status to answer with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// HTTP status for an error thrown while handling a request
+function statusFor(error) {
+    if (error instanceof HttpError) {
+        return error.status;
+    }
+    if (error instanceof AmiiboError) {
+        return { HMAC_MISMATCH: 422, BAD_KEYS: 500 }[error.code] || 400;
+    }
+    return 500;
+}
+
+// Read the request body. Past the size limit the rest is drained without being kept,
+// so the client still gets the 413 answer.
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = parseInt(req.headers['content-length'] || '0', 10) > maxBytes ? Infinity : 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= maxBytes) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            if (size > maxBytes) {
+                reject(new HttpError(413, `Upload is larger than ${maxBytes} bytes`));
+            } else {
+                resolve(Buffer.concat(chunks));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Parse an uploaded dump in any registered format
+function parseUpload(body) {
+    if (body.length === 0) {
+        throw new HttpError(400, 'No dump in the request body');
+    }
+    try {
+        return formats.parseDump(body).data;
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+}
+
+// Throw unless the Host header names this server: the listening host or address,
+// localhost when listening on loopback, or any IP address when listening on all of them.
+// A rebound DNS name always arrives as that name, so it never passes.
+function checkHost(hostHeader, listenHost, address) {
+    let url = null;
+    try {
+        url = hostHeader ? new URL(`http://${hostHeader}`) : null;
+    } catch (error) {
+        // handled below
+    }
+    if (!url) {
+        throw new HttpError(400, 'Missing or malformed Host header');
+    }
+
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    const allowed = [listenHost, address.address].filter(Boolean).map(name => name.toLowerCase());
+    if (allowed.some(name => LOOPBACK_NAMES.includes(name))) {
+        allowed.push(...LOOPBACK_NAMES);
+    }
+    const wildcard = WILDCARD_ADDRESSES.includes(address.address) && net.isIP(hostname) !== 0;
+
+    if (!(allowed.includes(hostname) || wildcard) || (url.port || '80') !== String(address.port)) {
+        throw new HttpError(403, `Host ${hostHeader} is not this server`);
+    }
+}
+
+// Throw when a browser sends the request from a page of another origin
+function checkOrigin(origin, hostHeader) {
+    if (origin === undefined) {
+        return;
+    }
+    let host = null;
+    try {
+        host = new URL(origin).host;
+    } catch (error) {
+        // "null" and other opaque origins are never this server
+    }
+    if (host !== hostHeader) {
+        throw new HttpError(403, `Requests from ${origin} are not allowed`);
+    }
+}
+
+function sendJSON(res, status, value) {
+    const body = JSON.stringify(value, null, 2);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}
+
+// Create the server. options: { maxUploadBytes, saveDir, host, logger }, where host is
+// the host name given to server.listen(port, host) when it is a name rather than an address.
+function createServer(tool, options = {}) {
+    const maxUploadBytes = options.maxUploadBytes || DEFAULT_MAX_UPLOAD;
+    const saveDir = options.saveDir || null;
+    const listenHost = options.host || null;
+    const logger = options.logger || QUIET;
+
+    const hex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+
+    // Output format and size of a request, checked before a dump is built so a bad
+    // parameter doesn't use up a UID
+    function outputOptions(query) {
+        const formatName = (query.get('format') || 'bin').toLowerCase();
+        const format = formats.getFormat(formatName);
+        if (!format) {
+            throw new HttpError(400, `Unknown output format: ${formatName}`);
+        }
+        const size = query.get('size') || null;
+        tool.checkOutputOptions(null, size);
+        return { format: format, size: size };
+    }
+
+    // Send a generated dump as a download, keeping a copy in the save directory when there is one.
+    // Once it is sent, its UID is recorded and the UID registry of the tool, if it has one, is saved.
+    function sendDump(res, result, baseName, format) {
+        const uid = hex([0, 1, 2, 4, 5, 6, 7].map(i => result.data[i]));
+        const fileName = `${baseName}_${uid}${format.extensions[0] || '.' + format.name}`;
+        const body = formats.serializeDump(result.data, format.name);
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': body.length,
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'X-Amiibo-Uid': uid,
+            'X-Amiibo-Id': result.amiiboId,
+            'X-Amiibo-Valid': String(result.validation.valid)
+        };
+
+        if (saveDir) {
+            fs.mkdirSync(saveDir, { recursive: true });
+            fs.writeFileSync(path.join(saveDir, fileName), body);
+            headers['X-Saved-As'] = fileName;
+        }
+
+        res.writeHead(200, headers);
+        res.end(body);
+
+        tool.commitUID(result.uid);
+        if (tool.registry) {
+            tool.registry.save();
+        }
+    }
+
+    const routes = {
+        'GET /': (req, res) => {
+            const page = fs.readFileSync(path.join(WEB_ROOT, 'index.html'));
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': page.length });
+            res.end(page);
+        },
+
+        'GET /api/status': (req, res) => {
+            sendJSON(res, 200, {
+                keysLoaded: Boolean(tool.keys),
+                database: tool.database ? tool.database.size : null,
+                maxUploadBytes: maxUploadBytes,
+                saving: Boolean(saveDir),
+                formats: formats.listFormats().map(format => format.name)
+            });
+        },
+
+        'POST /api/validate': async (req, res) => {
+            const data = parseUpload(await readBody(req, maxUploadBytes));
+            sendJSON(res, 200, tool.validate(data));
+        },
+
+        'POST /api/info': async (req, res) => {
+            const data = parseUpload(await readBody(req, maxUploadBytes));
+            sendJSON(res, 200, tool.info(data));
+        },
+
+        'POST /api/change-uid': async (req, res, query) => {
+            const data = parseUpload(await readBody(req, maxUploadBytes));
+            const output = outputOptions(query);
+            const result = tool.repack(data, { uid: query.get('uid') || null, size: output.size, logger: QUIET });
+            sendDump(res, result, 'amiibo', output.format);
+        },
+
+        'POST /api/generate-fresh': async (req, res, query) => {
+            await readBody(req, maxUploadBytes);
+            const output = outputOptions(query);
+            let amiiboId = query.get('id');
+            if (!amiiboId && query.get('name')) {
+                try {
+                    amiiboId = tool.resolveAmiiboName(query.get('name'));
+                } catch (error) {
+                    throw new HttpError(400, error.message);
+                }
+            }
+            if (!amiiboId) {
+                throw new HttpError(400, 'generate-fresh needs an id or name parameter');
+            }
+
+            const result = tool.create(amiiboId, {
+                uid: query.get('uid') || null,
+                size: output.size,
+                force: query.get('force') === '1' || query.get('force') === 'true',
+                logger: QUIET
+            });
+            sendDump(res, result, amiiboId.toLowerCase(), output.format);
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        let pathname = req.url.split('?')[0];
+
+        try {
+            checkHost(req.headers.host, listenHost, server.address());
+            checkOrigin(req.headers.origin, req.headers.host);
+
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                throw new HttpError(400, `Malformed request URL: ${req.url}`);
+            }
+            pathname = url.pathname;
+
+            const route = routes[`${req.method} ${pathname}`];
+            if (!route) {
+                throw new HttpError(404, `No such endpoint: ${req.method} ${pathname}`);
+            }
+            await route(req, res, url.searchParams);
+        } catch (error) {
+            const status = statusFor(error);
+            if (!res.headersSent) {
+                sendJSON(res, status, { error: error.message, code: error.code || null });
+            }
+        }
+
+        logger.log(`${req.method} ${pathname} -> ${res.statusCode}`);
+    });
+    return server;
+}
+
+module.exports = {
+    DEFAULT_MAX_UPLOAD,
+    createServer
+};
@@ -0,0 +1,205 @@
+// UID generation and the issued-UID registry
+//
+// NTAG215 UIDs are 7 bytes. UID0 is the NXP manufacturer byte 0x04, and
+// neither UID0 nor UID3 may be 0x88, the cascade tag that starts the second
+// cascade level of a 7-byte UID. Every generator below only produces UIDs
+// that follow these rules.
+//
+// Three generator modes:
+//   random      crypto.randomBytes
+//   seeded      HMAC-SHA256 of a seed and a running index, so a batch can be rebuilt exactly
+//   sequential  counting up from a base UID
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const NXP_MANUFACTURER = 0x04;
+const CASCADE_TAG = 0x88;
+
+const toHex = uid => uid.map(b => b.toString(16).padStart(2, '0')).join('');
+
+// Problems of a 7-byte UID under the NTAG rules, empty when it is fine
+function checkUID(uid) {
+    const problems = [];
+    if (uid.length !== 7) {
+        problems.push(`UID must be 7 bytes, got ${uid.length}`);
+        return problems;
+    }
+    if (uid[0] !== NXP_MANUFACTURER) {
+        problems.push(`UID0 is 0x${uid[0].toString(16).padStart(2, '0')}, not the NXP manufacturer byte 0x04`);
+    }
+    if (uid[3] === CASCADE_TAG) {
+        problems.push('UID3 is the cascade tag 0x88');
+    }
+    return problems;
+}
+
+// NXP byte followed by 6 bytes from the source; null when the rules reject them
+function fromBytes(bytes) {
+    const uid = [NXP_MANUFACTURER].concat(Array.from(bytes.slice(0, 6)));
+    return checkUID(uid).length === 0 ? uid : null;
+}
+
+// Random UID
+function randomUID() {
+    let uid = null;
+    while (!uid) {
+        uid = fromBytes(crypto.randomBytes(6));
+    }
+    return uid;
+}
+
+// UID derived from a seed and an index; attempt picks another UID for the same index
+function seededUID(seed, index, attempt = 0) {
+    let uid = null;
+    for (let extra = 0; !uid; extra++) {
+        const digest = crypto.createHmac('sha256', String(seed)).update(`${index}:${attempt}:${extra}`).digest();
+        uid = fromBytes(digest);
+    }
+    return uid;
+}
+
+// UID1-UID6 of the offset-th UID after a base UID, as one 48-bit number
+function sequentialValue(base, offset) {
+    return (BigInt('0x' + toHex(base.slice(1))) + BigInt(offset)) % (1n << 48n);
+}
+
+// The offset-th UID after a base UID; null when the rules reject it
+function sequentialUID(base, offset) {
+    return fromBytes(Buffer.from(sequentialValue(base, offset).toString(16).padStart(12, '0'), 'hex'));
+}
+
+// Offsets to skip from a UID with the cascade tag as UID3 to the first one after
+// the whole 0x88 block, instead of stepping through its 16 million rejected UIDs
+function cascadeSkip(base, offset) {
+    return Number((1n << 24n) - (sequentialValue(base, offset) & 0xFFFFFFn));
+}
+
+// Create a UID generator. options: { mode: 'random' | 'seeded' | 'sequential', seed, base (7 bytes) }
+// next(isTaken) returns { uid, source }, skipping UIDs for which isTaken(uidHex, source) is true.
+// source names where a UID came from, so a seeded or sequential batch can be recognised when rebuilt.
+function createUIDGenerator(options = {}) {
+    const mode = options.mode || 'random';
+    let index = 0;
+
+    if (mode === 'random') {
+        return {
+            mode: mode,
+            next(isTaken = () => false) {
+                let uid;
+                do {
+                    uid = randomUID();
+                } while (isTaken(toHex(uid), 'random'));
+                return { uid: uid, source: 'random' };
+            }
+        };
+    }
+
+    if (mode === 'seeded') {
+        if (options.seed === undefined || options.seed === null || options.seed === '') {
+            throw new Error('Seeded UID mode needs a seed');
+        }
+        const seedId = crypto.createHash('sha256').update(String(options.seed)).digest('hex').slice(0, 16);
+
+        return {
+            mode: mode,
+            next(isTaken = () => false) {
+                const source = `seed:${seedId}#${index}`;
+                let uid;
+                for (let attempt = 0; ; attempt++) {
+                    uid = seededUID(options.seed, index, attempt);
+                    if (!isTaken(toHex(uid), source)) {
+                        break;
+                    }
+                }
+                index++;
+                return { uid: uid, source: source };
+            }
+        };
+    }
+
+    if (mode === 'sequential') {
+        if (!options.base || checkUID(options.base).length > 0) {
+            throw new Error(`Sequential UID mode needs a valid base UID${options.base ? ': ' + checkUID(options.base).join('; ') : ''}`);
+        }
+        const baseHex = toHex(options.base);
+        let offset = 0;
+
+        return {
+            mode: mode,
+            next(isTaken = () => false) {
+                const source = `base:${baseHex}#${index}`;
+                let uid;
+                for (;;) {
+                    uid = sequentialUID(options.base, offset);
+                    offset += uid ? 1 : cascadeSkip(options.base, offset);
+                    if (uid && !isTaken(toHex(uid), source)) {
+                        break;
+                    }
+                }
+                index++;
+                return { uid: uid, source: source };
+            }
+        };
+    }
+
+    throw new Error(`Unknown UID mode: ${mode} (expected random, seeded or sequential)`);
+}
+
+// Local record of every UID issued, so UIDs are never reused across a library.
+// The file is JSON: { "uids": { "<14 hex>": { issued, source, amiiboId } } }
+class UIDRegistry {
+    constructor(data = {}, filePath = null) {
+        this.uids = Object.assign({}, data.uids);
+        this.filePath = filePath;
+    }
+
+    // Load a registry file; a missing file is an empty registry that save() will create
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return new UIDRegistry({}, filePath);
+        }
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!data || typeof data.uids !== 'object') {
+            throw new Error(`Not a UID registry (missing "uids" table): ${filePath}`);
+        }
+        return new UIDRegistry(data, filePath);
+    }
+
+    get size() {
+        return Object.keys(this.uids).length;
+    }
+
+    // Record for a UID (14 hex chars), or null when it was never issued
+    lookup(uidHex) {
+        return this.uids[uidHex.toLowerCase()] || null;
+    }
+
+    // A UID is taken unless it was never issued or was issued for the same source and
+    // the same amiibo, which is how a seeded or sequential batch gets rebuilt with its own UIDs
+    isTaken(uidHex, source = null, amiiboId = null) {
+        const record = this.lookup(uidHex);
+        if (!record) {
+            return false;
+        }
+        const sameAmiibo = Boolean(amiiboId && record.amiiboId) && record.amiiboId.toLowerCase() === amiiboId.toLowerCase();
+        return !(source && /^(seed|base):/.test(source) && record.source === source && sameAmiibo);
+    }
+
+    add(uidHex, record = {}) {
+        this.uids[uidHex.toLowerCase()] = Object.assign({ issued: new Date().toISOString() }, record);
+    }
+
+    save(filePath = this.filePath) {
+        fs.writeFileSync(filePath, JSON.stringify({ uids: this.uids }, null, 2) + '\n');
+    }
+}
+
+module.exports = {
+    checkUID,
+    randomUID,
+    seededUID,
+    sequentialUID,
+    createUIDGenerator,
+    UIDRegistry
+};